@@ -17,7 +17,13 @@ const CONFIG = {
   RECONNECT_MAX_DELAY: 30000,
   RECONNECT_MAX_ATTEMPTS: 10,
   SOURCE_PULSE_THROTTLE: 100,
-  DESTINATION_GLOW_DURATION: 1500
+  DESTINATION_GLOW_DURATION: 1500,
+  MAX_UPSTREAM_ROWS: 6,
+  MAX_PLAIN_CLIENTS: 5,
+  SEARCH_PAGE_SIZE: 25,
+  TIMELINE_WINDOWS: [1, 5, 15, 60],
+  TIMELINE_PLAYBACK_DURATION: 10000,
+  TIMELINE_PLAYBACK_TICK: 100
 };
 
 const DNS_TYPE_COLORS = Object.freeze({
@@ -33,6 +39,14 @@ const DNS_TYPE_COLORS = Object.freeze({
   'CAA': '#667eea'
 });
 
+const TRANSPORT_LABELS = Object.freeze({
+  'plain': 'Plain',
+  'doh': 'DoH',
+  'dot': 'DoT',
+  'doq': 'DoQ',
+  'dnscrypt': 'DNSCrypt'
+});
+
 const state = {
   map: null,
   ws: null,
@@ -46,15 +60,33 @@ const state = {
   totalQueries: 0,
   blockedQueries: 0,
   responseTimes: [],
-  upstreamTimes: [],
   logEntries: [],
   sourcePulseActive: false,
   reconnectAttempts: 0,
   reconnectTimeoutId: null,
   statsUpdateIntervalId: null,
   filterLocal: false,
+  dashPlainArcs: true,
+  transportCounts: {},
+  plainClients: new Map(),
+  transportDirty: false,
   sourceLocation: { lat: 3.139, lng: 101.6869, city: 'Kuala Lumpur' },
-  sourceMarker: null
+  sourceMarker: null,
+  instances: new Map(),
+  instanceStats: {},
+  hiddenInstances: new Set(),
+  instanceMarkers: [],
+  serverAlerts: new Map(),
+  adminActions: false,
+  session: null,
+  subscription: null,
+  stream: { id: null, lastEventId: 0 },
+  search: { instanceId: null, olderThan: null, loading: false },
+  replay: { active: false },
+  replaySpeeds: [1, 10, 60],
+  replaySeeking: false,
+  dataSource: 'live',
+  timeline: { spanHours: 24, windowMinutes: 5, from: null, requestId: 0, playbackTimerId: null }
 };
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -68,6 +100,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
 function initApp() {
   loadPreferences();
+  state.subscription = getSubscriptionFromUrl();
   initMap();
   connectWebSocket();
   setupEventListeners();
@@ -95,7 +128,19 @@ function setupEventListeners() {
     });
   }
 
+  const dashPlainToggle = document.getElementById('dash-plain-toggle');
+  if (dashPlainToggle) {
+    dashPlainToggle.addEventListener('change', (e) => {
+      state.dashPlainArcs = e.target.checked;
+      savePreference('dashPlainArcs', state.dashPlainArcs);
+    });
+  }
+
   setupModalEventListeners();
+  setupSearchPanel();
+  setupReplayPanel();
+  setupAdminPanel();
+  setupTimeline();
 
   window.addEventListener('beforeunload', cleanup);
 }
@@ -120,11 +165,27 @@ function loadPreferences() {
       if (toggle) toggle.checked = true;
     }
 
+    const savedDashPlain = localStorage.getItem('dashPlainArcs');
+    if (savedDashPlain === 'false') {
+      state.dashPlainArcs = false;
+    }
+    const dashPlainToggle = document.getElementById('dash-plain-toggle');
+    if (dashPlainToggle) dashPlainToggle.checked = state.dashPlainArcs;
+
     const savedLayout = localStorage.getItem('dashboardLayout');
     if (savedLayout) {
       applyLayout(savedLayout);
     }
 
+    const savedHiddenInstances = localStorage.getItem('hiddenInstances');
+    if (savedHiddenInstances) {
+      try {
+        state.hiddenInstances = new Set(JSON.parse(savedHiddenInstances));
+      } catch (e) {
+        console.warn('Failed to parse hidden instances:', e);
+      }
+    }
+
     const savedSourceLocation = localStorage.getItem('sourceLocation');
     if (savedSourceLocation) {
       try {
@@ -133,6 +194,9 @@ function loadPreferences() {
         console.warn('Failed to parse saved source location:', e);
       }
     }
+
+    // Older versions kept the admin token here for good
+    localStorage.removeItem('adminToken');
   } catch (error) {
     console.warn('Failed to load preferences from localStorage:', error);
   }
@@ -162,6 +226,7 @@ function onMapLoad() {
     addPulseSource();
     addSourceMarker();
     addNavigationControls();
+    addInstanceMarkers();
   } catch (error) {
     console.error('Map initialization error:', error);
     showError('Map initialization failed.');
@@ -239,9 +304,15 @@ function addNavigationControls() {
   state.map.addControl(state.navigationControl, position);
 }
 
-function connectWebSocket() {
+// Filters and the stream position go in the URL so the server can apply
+// them to the snapshot it sends right after connecting
+function connectWebSocket(resume) {
   const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-  const wsUrl = `${protocol}//${window.location.host}`;
+  const params = new URLSearchParams();
+  if (state.subscription) params.set('subscribe', JSON.stringify(state.subscription));
+  if (resume && resume.id) params.set('resume', `${resume.id}:${resume.lastEventId}`);
+  const query = params.toString();
+  const wsUrl = `${protocol}//${window.location.host}/${query ? `?${query}` : ''}`;
 
   try {
     state.ws = new WebSocket(wsUrl);
@@ -262,6 +333,35 @@ function onWebSocketOpen() {
   state.reconnectAttempts = 0;
 }
 
+// Server-side filters from the page URL, e.g. a wall display for the guest
+// network: /?clients=192.168.50.0/24&blocked=1. Lists are comma-separated
+function getSubscriptionFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const filters = {};
+
+  ['clients', 'domains', 'types', 'countries'].forEach(field => {
+    const values = (params.get(field) || '').split(',').map(value => value.trim()).filter(Boolean);
+    if (values.length > 0) filters[field] = values;
+  });
+  if (['1', 'true'].includes(params.get('blocked'))) filters.blockedOnly = true;
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+function renderSubscription() {
+  const info = document.getElementById('subscription-info');
+  if (!info) return;
+
+  const filters = state.subscription || {};
+  const parts = ['clients', 'domains', 'types', 'countries']
+    .filter(field => filters[field])
+    .map(field => `${field}: ${filters[field].join(', ')}`);
+  if (filters.blockedOnly) parts.push('blocked only');
+
+  info.hidden = parts.length === 0;
+  info.textContent = parts.length > 0 ? `Filtered • ${parts.join(' • ')}` : '';
+}
+
 function onWebSocketMessage(event) {
   try {
     const data = JSON.parse(event.data);
@@ -286,7 +386,13 @@ function onWebSocketClose(event) {
   console.log('WebSocket disconnected:', event.code, event.reason);
   updateStatus('disconnected', 'Disconnected');
 
+  if (event.code === 4001) {
+    window.location.href = '/login';
+    return;
+  }
+
   if (event.code !== 1000) {
+    if (state.session) checkSession();
     scheduleReconnect();
   }
 }
@@ -311,37 +417,344 @@ function scheduleReconnect() {
 
   state.reconnectTimeoutId = setTimeout(() => {
     state.reconnectTimeoutId = null;
-    connectWebSocket();
+    // Pick up the stream where it dropped instead of starting over
+    connectWebSocket(state.stream);
   }, delay);
 }
 
 function handleMessage(data) {
   switch (data.type) {
+    case 'batch':
+      // The server sends queued messages together a few times per second
+      if (Array.isArray(data.messages)) {
+        data.messages.forEach(message => {
+          if (message && typeof message === 'object' && message.type) handleMessage(message);
+        });
+      }
+      break;
+    case 'lagging':
+      handleLagging(data);
+      break;
     case 'dns_query':
-      handleDNSQuery(data);
+      if (isSeenEvent(data)) break;
+      // Live traffic is dropped while a past window is on screen
+      if (state.dataSource === 'live') handleDNSQuery(data);
+      break;
+    case 'snapshot':
+      handleSnapshot(data);
       break;
     case 'stats':
-      handleStats(data);
+      if (state.dataSource === 'live') handleStats(data);
       break;
     case 'connected':
       console.log('Server welcome:', data.message);
+      // A running replay is announced right after this message
+      state.replay = { active: false };
+      applyServerConfig(data.config);
+      renderReplayState();
+      break;
+    case 'replay':
+      handleReplayState(data);
+      break;
+    case 'subscribed':
+      state.subscription = data.filters && Object.keys(data.filters).length > 0 ? data.filters : null;
+      renderSubscription();
+      break;
+    case 'config_update':
+      // Settings reloaded from the server config file
+      applyDisplaySettings(data.config);
+      renderTimeline();
       break;
     case 'error':
       console.error('Server error:', data.message);
-      addLogEntry({ domain: 'System Error', details: data.message, isError: true });
+      if (data.code === 'auth_failed') {
+        setServerAlert(data.instance, data.message);
+      } else {
+        addLogEntry({ domain: 'System Error', details: data.message, isError: true });
+      }
       break;
     default:
       console.warn('Unknown message type:', data.type);
   }
 }
 
+// Recent queries and stats sent on connect, or only the missed queries
+// when the stream was resumed
+function handleSnapshot(data) {
+  if (data.streamId !== state.stream.id) {
+    state.stream = { id: data.streamId, lastEventId: 0 };
+  }
+
+  if (Array.isArray(data.stats)) data.stats.forEach(message => handleMessage(message));
+  if (Array.isArray(data.events)) data.events.forEach(message => handleMessage(message));
+
+  if (Number.isInteger(data.lastEventId)) {
+    state.stream.lastEventId = Math.max(state.stream.lastEventId, data.lastEventId);
+  }
+}
+
+// Live queries carry increasing ids; one sent both in the snapshot and in
+// the first frame after it is only shown once. Replayed queries have no id
+function isSeenEvent(data) {
+  if (!Number.isInteger(data.id)) return false;
+  if (data.id <= state.stream.lastEventId) return true;
+
+  state.stream.lastEventId = data.id;
+  return false;
+}
+
+// The server thins out queries while this browser can't keep up
+function handleLagging(data) {
+  if (data.mode) {
+    updateStatus('connected', data.mode === 'drop' ? 'Lagging (paused)' : 'Lagging (sampled)');
+    showNotification('Connection too slow, showing only some queries', true);
+  } else {
+    updateStatus('connected', 'Live');
+    showNotification(`Caught up, ${data.dropped || 0} queries were skipped`);
+  }
+}
+
+function applyDisplaySettings(config) {
+  if (!config) return;
+  if (Number.isFinite(config.maxConcurrentArcs) && config.maxConcurrentArcs > 0) {
+    CONFIG.MAX_CONCURRENT_ARCS = config.maxConcurrentArcs;
+  }
+  if (Number.isFinite(config.timelineSpanHours) && config.timelineSpanHours > 0) {
+    state.timeline.spanHours = config.timelineSpanHours;
+  }
+}
+
+function applyServerConfig(config) {
+  if (!config || !Array.isArray(config.instances)) return;
+
+  state.adminActions = config.adminActions === true;
+  state.session = config.session && typeof config.session.user === 'string' ? config.session : null;
+  renderSession();
+  if (Array.isArray(config.replaySpeeds) && config.replaySpeeds.length > 0) {
+    state.replaySpeeds = config.replaySpeeds.filter(speed => Number.isFinite(speed));
+  }
+  applyDisplaySettings(config);
+  state.instances.clear();
+  config.instances.forEach(instance => {
+    if (!instance || typeof instance.id !== 'string') return;
+    state.instances.set(instance.id, {
+      id: instance.id,
+      name: sanitizeString(instance.name) || instance.id,
+      source: instance.source,
+      supportsRuleEditing: instance.supportsRuleEditing === true,
+      supportsQueryLogSearch: instance.supportsQueryLogSearch === true,
+      queryCount: 0
+    });
+  });
+
+  renderInstanceList();
+  renderSearchInstances();
+  renderReplaySpeeds();
+  renderTimeline();
+
+  const adminSection = document.getElementById('admin-section');
+  if (adminSection) adminSection.hidden = !state.adminActions;
+  addInstanceMarkers();
+}
+
+function renderSession() {
+  const bar = document.getElementById('session-bar');
+  const user = document.getElementById('session-user');
+  if (bar) bar.hidden = !state.session;
+  if (user && state.session) user.textContent = `${state.session.user} (${state.session.role})`;
+}
+
+// The WebSocket handshake can't say why it was refused, so ask whether the
+// session is still valid before reconnecting
+async function checkSession() {
+  try {
+    const response = await fetch('/api/session');
+    if (response.status === 401) window.location.href = '/login';
+  } catch (error) {
+    console.warn('Session check failed:', error);
+  }
+}
+
+function hasMultipleInstances() {
+  return state.instances.size > 1;
+}
+
+function isInstanceVisible(instanceId) {
+  return !instanceId || !state.hiddenInstances.has(instanceId);
+}
+
+function renderInstanceList() {
+  const section = document.getElementById('instance-section');
+  const list = document.getElementById('instance-list');
+  if (!section || !list) return;
+
+  section.hidden = !hasMultipleInstances();
+  list.innerHTML = '';
+
+  state.instances.forEach(instance => {
+    const item = document.createElement('div');
+    item.className = 'filter-item instance-item';
+
+    const label = document.createElement('label');
+    label.htmlFor = `instance-toggle-${instance.id}`;
+    label.innerHTML = `${sanitizeHTML(instance.name)} <span class="instance-count" id="instance-count-${sanitizeHTML(instance.id)}">${instance.queryCount}</span>`;
+
+    const toggle = document.createElement('label');
+    toggle.className = 'switch';
+    toggle.innerHTML = `<input type="checkbox" id="instance-toggle-${sanitizeHTML(instance.id)}"><span class="slider round"></span>`;
+
+    const input = toggle.querySelector('input');
+    input.checked = isInstanceVisible(instance.id);
+    input.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        state.hiddenInstances.delete(instance.id);
+      } else {
+        state.hiddenInstances.add(instance.id);
+      }
+      savePreference('hiddenInstances', JSON.stringify([...state.hiddenInstances]));
+      updateServerTimings();
+    });
+
+    item.appendChild(label);
+    item.appendChild(toggle);
+    list.appendChild(item);
+  });
+}
+
+function addInstanceMarkers() {
+  if (!state.map) return;
+
+  state.instanceMarkers.forEach(marker => marker.remove());
+  state.instanceMarkers = [];
+
+  if (!hasMultipleInstances()) return;
+
+  state.instances.forEach(instance => {
+    if (!instance.source) return;
+
+    const marker = new maplibregl.Marker({ color: '#4299e1', scale: 0.8 })
+      .setLngLat([instance.source.lng, instance.source.lat])
+      .setPopup(new maplibregl.Popup().setText(`${instance.name}: ${instance.source.city || ''}`))
+      .addTo(state.map);
+
+    state.instanceMarkers.push(marker);
+  });
+}
+
+function setServerAlert(instanceId, message) {
+  state.serverAlerts.set(instanceId || 'default', sanitizeString(message));
+  renderServerAlerts();
+}
+
+function clearServerAlert(instanceId) {
+  if (state.serverAlerts.delete(instanceId || 'default')) {
+    renderServerAlerts();
+  }
+}
+
+function renderServerAlerts() {
+  const alert = document.getElementById('server-alert');
+  if (!alert) return;
+
+  alert.hidden = state.serverAlerts.size === 0;
+  alert.textContent = [...state.serverAlerts.values()].join('\n');
+}
+
 function handleStats(event) {
+  clearServerAlert(event.instance);
+  state.instanceStats[event.instance || 'default'] = event.data || {};
+  updateServerTimings();
+}
+
+function updateServerTimings() {
+  const visibleStats = Object.entries(state.instanceStats)
+    .filter(([instanceId]) => isInstanceVisible(instanceId))
+    .map(([, data]) => data);
+
+  // The server reports times in seconds
   const statAdguardAvg = document.getElementById('stat-adguard-avg');
+  const times = visibleStats
+    .filter(data => typeof data.avgProcessingTime === 'number')
+    .map(data => data.avgProcessingTime * 1000);
 
-  if (statAdguardAvg && typeof event.data?.avgProcessingTime === 'number') {
-    const avgTime = event.data.avgProcessingTime.toFixed(2);
-    animateStat(statAdguardAvg, `${avgTime}ms`);
+  if (statAdguardAvg && times.length > 0) {
+    const avgTime = times.reduce((a, b) => a + b, 0) / times.length;
+    animateStat(statAdguardAvg, `${avgTime.toFixed(2)}ms`);
   }
+
+  const upstreams = collectUpstreamStats(visibleStats);
+
+  const statUpstreamAvg = document.getElementById('stat-upstream-avg');
+  const totalResponses = upstreams.reduce((sum, upstream) => sum + upstream.responses, 0);
+  if (statUpstreamAvg && totalResponses > 0) {
+    const weighted = upstreams.reduce((sum, upstream) => sum + upstream.avgTime * upstream.responses, 0);
+    animateStat(statUpstreamAvg, `${(weighted / totalResponses).toFixed(1)}ms`);
+  }
+
+  renderUpstreamTable(upstreams);
+}
+
+function collectUpstreamStats(statsList) {
+  const upstreams = new Map();
+
+  statsList.forEach(data => {
+    const responses = Array.isArray(data.topUpstreamsResponses) ? data.topUpstreamsResponses : [];
+    const avgTimes = Array.isArray(data.topUpstreamsAvgTime) ? data.topUpstreamsAvgTime : [];
+    const avgTimeByName = new Map();
+
+    avgTimes.forEach(item => {
+      Object.entries(item || {}).forEach(([name, seconds]) => avgTimeByName.set(name, Number(seconds) * 1000));
+    });
+
+    responses.forEach(item => {
+      Object.entries(item || {}).forEach(([name, count]) => {
+        const responsesCount = Number(count) || 0;
+        const avgTime = avgTimeByName.get(name) || 0;
+        const existing = upstreams.get(name) || { name, responses: 0, totalTime: 0 };
+
+        existing.responses += responsesCount;
+        existing.totalTime += avgTime * responsesCount;
+        upstreams.set(name, existing);
+      });
+    });
+  });
+
+  return [...upstreams.values()]
+    .map(upstream => ({
+      name: upstream.name,
+      responses: upstream.responses,
+      avgTime: upstream.responses > 0 ? upstream.totalTime / upstream.responses : 0
+    }))
+    .sort((a, b) => b.responses - a.responses);
+}
+
+function renderUpstreamTable(upstreams) {
+  const section = document.getElementById('upstream-section');
+  const body = document.getElementById('upstream-table-body');
+  if (!section || !body) return;
+
+  section.hidden = upstreams.length === 0;
+
+  body.innerHTML = upstreams.slice(0, CONFIG.MAX_UPSTREAM_ROWS).map(upstream => `
+    <tr>
+      <td class="upstream-name" title="${escapeAttribute(upstream.name)}">${sanitizeHTML(formatUpstreamName(upstream.name))}</td>
+      <td>${upstream.responses.toLocaleString()}</td>
+      <td>${upstream.avgTime.toFixed(1)}ms</td>
+    </tr>
+  `).join('');
+}
+
+function getCnameChain(data) {
+  if (!data || !Array.isArray(data.cnameChain)) return [];
+  return data.cnameChain.map(sanitizeString).filter(Boolean);
+}
+
+function formatUpstreamName(name) {
+  // "https://dns.quad9.net:443/dns-query" → "dns.quad9.net"
+  try {
+    if (/^[a-z]+:\/\//i.test(name)) return new URL(name).hostname;
+  } catch (e) { }
+  return name;
 }
 
 function handleDNSQuery(event) {
@@ -354,23 +767,44 @@ function handleDNSQuery(event) {
     return;
   }
 
+  if (!isInstanceVisible(event.instance)) {
+    return;
+  }
+
+  const instance = state.instances.get(event.instance);
+  if (instance) {
+    instance.queryCount++;
+    const counter = document.getElementById(`instance-count-${event.instance}`);
+    if (counter) counter.textContent = instance.queryCount.toString();
+  }
+
   state.totalQueries++;
   if (event.data.filtered) state.blockedQueries++;
+  recordTransport(event.data);
   updateStats();
 
   addLogEntry({
     domain: sanitizeString(event.data.domain),
     ip: sanitizeString(event.data.ip) || 'No answer',
     clientIp: sanitizeString(event.data.clientIp),
+    clientName: sanitizeString(event.data.clientName),
+    clientTags: Array.isArray(event.data.clientTags) ? event.data.clientTags.map(sanitizeString) : [],
     type: sanitizeString(event.data.queryType),
+    cnameChain: getCnameChain(event.data),
+    ipSource: sanitizeString(event.data.ipSource),
+    protocol: getTransport(event.data),
+    ecs: sanitizeString(event.data.ecs),
+    dnssec: event.data.dnssec === true,
     elapsed: parseFloat(event.data.elapsed) || 0,
     cached: event.data.cached || false,
     filtered: event.data.filtered || false,
+    instanceId: event.instance,
+    instanceName: hasMultipleInstances() && instance ? instance.name : '',
     timestamp: new Date(event.timestamp)
   });
 
   if (event.destination && state.activeArcs.length < CONFIG.MAX_CONCURRENT_ARCS) {
-    createArc(event.source, event.destination, event.data);
+    createArc(event.source, event.destination, { ...event.data, instance: event.instance });
   }
 
   const elapsed = parseFloat(event.data.elapsed);
@@ -378,15 +812,70 @@ function handleDNSQuery(event) {
     state.responseTimes.push(elapsed);
     if (state.responseTimes.length > 100) state.responseTimes.shift();
   }
+}
 
-  const upstreamElapsed = parseFloat(event.data.upstream);
-  if (!isNaN(upstreamElapsed) && upstreamElapsed > 0) {
-    state.upstreamTimes.push(upstreamElapsed);
-    if (state.upstreamTimes.length > 100) state.upstreamTimes.shift();
+function getTransport(data) {
+  return data && Object.prototype.hasOwnProperty.call(TRANSPORT_LABELS, data.protocol) ? data.protocol : '';
+}
+
+function recordTransport(data) {
+  const protocol = getTransport(data);
+  if (!protocol) return;
+
+  state.transportCounts[protocol] = (state.transportCounts[protocol] || 0) + 1;
+
+  if (protocol === 'plain') {
+    const client = sanitizeString(data.clientName) || sanitizeString(data.clientIp);
+    if (client) state.plainClients.set(client, (state.plainClients.get(client) || 0) + 1);
+  }
+
+  state.transportDirty = true;
+}
+
+function renderTransportShare() {
+  if (!state.transportDirty) return;
+  state.transportDirty = false;
+
+  const section = document.getElementById('transport-section');
+  const list = document.getElementById('transport-list');
+  const clients = document.getElementById('plain-clients');
+  if (!section || !list) return;
+
+  const total = Object.values(state.transportCounts).reduce((a, b) => a + b, 0);
+  section.hidden = total === 0;
+  if (total === 0) return;
+
+  list.innerHTML = Object.entries(state.transportCounts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([protocol, count]) => {
+      const share = (count / total) * 100;
+      return `
+        <div class="transport-row">
+          <span class="transport-name">${TRANSPORT_LABELS[protocol]}</span>
+          <span class="transport-bar"><span class="transport-fill transport-${protocol}" style="width: ${share.toFixed(1)}%"></span></span>
+          <span class="transport-share">${share.toFixed(0)}%</span>
+        </div>
+      `;
+    })
+    .join('');
+
+  if (clients) {
+    const plainClients = [...state.plainClients.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, CONFIG.MAX_PLAIN_CLIENTS);
+
+    clients.hidden = plainClients.length === 0;
+    clients.innerHTML = plainClients.length > 0
+      ? `Plain DNS: ${plainClients.map(([client, count]) => `<span title="${count} queries">${sanitizeHTML(client)}</span>`).join(', ')}`
+      : '';
   }
 }
 
-function createArc(_source, destination, data) {
+function isDashedArc(data) {
+  return state.dashPlainArcs && getTransport(data) === 'plain';
+}
+
+function createArc(source, destination, data) {
   const arcId = `arc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
   state.activeArcs.push(arcId);
@@ -395,9 +884,8 @@ function createArc(_source, destination, data) {
 
   triggerSourcePulse();
 
-  // Use the custom source location from state instead of the server-provided source
   const lineString = createArcGeometry(
-    [state.sourceLocation.lng, state.sourceLocation.lat],
+    getArcOrigin(source),
     [destination.lng, destination.lat]
   );
 
@@ -418,7 +906,8 @@ function createArc(_source, destination, data) {
         'line-color': arcColor,
         'line-width': state.isDarkMode ? 2 : 3,
         'line-opacity': state.isDarkMode ? 0.8 : 0.9,
-        'line-blur': state.isDarkMode ? 0 : 0.5
+        'line-blur': state.isDarkMode ? 0 : 0.5,
+        ...(isDashedArc(data) && { 'line-dasharray': [2, 2] })
       }
     });
 
@@ -429,6 +918,15 @@ function createArc(_source, destination, data) {
   }
 }
 
+function getArcOrigin(source) {
+  // With several instances each arc starts at its own instance; a single
+  // instance uses the custom source location from state instead
+  if (hasMultipleInstances() && source && typeof source.lat === 'number' && typeof source.lng === 'number') {
+    return [source.lng, source.lat];
+  }
+  return [state.sourceLocation.lng, state.sourceLocation.lat];
+}
+
 function createArcGeometry(start, end) {
   const steps = 50;
   const coordinates = [];
@@ -477,7 +975,7 @@ function animateArc(arcId, lineString, destination, data, arcColor) {
         createDestinationGlow(destination, arcColor);
 
         if (!trailCreated) {
-          createArcTrail(lineString, arcColor);
+          createArcTrail(lineString, arcColor, isDashedArc(data));
           trailCreated = true;
         }
 
@@ -504,7 +1002,7 @@ function animateArc(arcId, lineString, destination, data, arcColor) {
   }, CONFIG.ARC_ANIMATION_DURATION / steps);
 }
 
-function createArcTrail(lineString, arcColor) {
+function createArcTrail(lineString, arcColor, dashed = false) {
   for (let i = 0; i < CONFIG.ARC_TRAIL_COUNT; i++) {
     setTimeout(() => {
       const trailId = `trail-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -527,7 +1025,8 @@ function createArcTrail(lineString, arcColor) {
             'line-color': arcColor,
             'line-width': state.isDarkMode ? 1.5 : 2.5,
             'line-opacity': state.isDarkMode ? opacity : opacity * 1.2,
-            'line-blur': state.isDarkMode ? 0 : 0.5
+            'line-blur': state.isDarkMode ? 0 : 0.5,
+            ...(dashed && { 'line-dasharray': [2, 2] })
           }
         });
 
@@ -727,18 +1226,25 @@ function addArcLabel(destination, data) {
     const queryType = sanitizeHTML(data.queryType || data.type || 'A');
     const elapsed = parseFloat(data.elapsed) || 0;
     const cached = data.cached ? ' • Cached' : '';
+    const transport = getTransport(data) ? ` • ${TRANSPORT_LABELS[getTransport(data)]}` : '';
     const city = sanitizeHTML(destination.city || 'Unknown');
     const country = sanitizeHTML(destination.country || 'Unknown');
+    const chain = getCnameChain(data);
 
     label.innerHTML = `
       <div class="label-domain">${domain}</div>
+      ${chain.length > 0 ? `<div class="label-detail label-chain">→ ${chain.map(sanitizeHTML).join(' → ')}</div>` : ''}
       <div class="label-detail">
         ${ip ? `<span class="label-ip">${ip}</span> • ` : ''}
-        ${queryType} • ${elapsed}ms${cached}
+        ${queryType} • ${elapsed}ms${cached}${transport}
       </div>
       <div class="label-detail">${city}, ${country}</div>
     `;
 
+    if (canEditRules(data.instance)) {
+      label.appendChild(createRuleActions(data.domain, data.instance));
+    }
+
     document.body.appendChild(label);
 
     const rect = label.getBoundingClientRect();
@@ -971,30 +1477,58 @@ function addLogEntry(entry) {
     const domain = sanitizeHTML(entry.domain || 'Unknown');
     const ip = entry.ip ? sanitizeHTML(entry.ip) : '';
     const clientIp = entry.clientIp ? sanitizeHTML(entry.clientIp) : '';
+    const clientName = entry.clientName ? sanitizeHTML(entry.clientName) : '';
+    const clientTitle = escapeAttribute([entry.clientIp, ...(entry.clientTags || [])].filter(Boolean).join(' • '));
+    const clientLabel = clientName || clientIp;
     const type = sanitizeHTML(entry.type || 'A');
     const elapsed = entry.elapsed ? `${entry.elapsed}ms` : '';
     const cached = entry.cached ? ' • Cached' : '';
+    const transport = entry.protocol
+      ? ` • <span class="log-transport log-transport-${entry.protocol}">${TRANSPORT_LABELS[entry.protocol]}</span>`
+      : '';
+    const dnssec = entry.dnssec ? ' • DNSSEC' : '';
+    const ecs = entry.ecs ? ` • ECS ${sanitizeHTML(entry.ecs)}` : '';
+    const lookup = entry.ipSource === 'lookup'
+      ? ' • <span class="log-lookup" title="IP from a follow-up lookup, not from the query log">Lookup</span>'
+      : '';
     const blocked = isBlocked ? ' • <span class="log-blocked">BLOCKED</span>' : '';
     const noAnswer = isNoAnswer ? ' • <span class="log-no-answer">NO ANSWER</span>' : '';
-    const cnameInfo = entry.cname ? ` • <span class="log-cname" title="Resolved from CNAME: ${sanitizeHTML(entry.cname)}">CNAME</span>` : '';
+    const chain = Array.isArray(entry.cnameChain) ? entry.cnameChain : [];
+    const chainTitle = escapeAttribute([entry.domain, ...chain].join(' → '));
+    const cnameInfo = chain.length > 0 ? ` • <span class="log-cname" title="${chainTitle}">CNAME</span>` : '';
+    const chainInfo = chain.length > 0
+      ? `<div class="log-chain" title="${chainTitle}">→ ${chain.map(sanitizeHTML).join(' → ')}</div>`
+      : '';
     const details = entry.details ? sanitizeHTML(entry.details) : '';
+    const instanceTag = entry.instanceName ? ` • <span class="log-instance">${sanitizeHTML(entry.instanceName)}</span>` : '';
 
     logDiv.innerHTML = `
-      <div class="log-time">${time}${clientIp ? ` • <span class="log-client">${clientIp}</span>` : ''}</div>
+      <div class="log-time">${time}${clientLabel ? ` • <span class="log-client" title="${clientTitle}">${clientLabel}</span>` : ''}${instanceTag}</div>
       <div class="log-domain">${domain}${cnameInfo}</div>
+      ${chainInfo}
       <div class="log-details">
         ${ip ? `<span class="log-ip">${ip}</span> • ` : ''}
-        ${type}${elapsed ? ` • ${elapsed}` : ''}${cached}${blocked}${noAnswer}
+        ${type}${elapsed ? ` • ${elapsed}` : ''}${transport}${dnssec}${ecs}${cached}${lookup}${blocked}${noAnswer}
         ${details ? ` • ${details}` : ''}
       </div>
     `;
 
+    if (!entry.isError && entry.domain && canEditRules(entry.instanceId)) {
+      logDiv.querySelector('.log-domain').appendChild(createRuleActions(entry.domain, entry.instanceId));
+    }
+
     container.insertBefore(logDiv, container.firstChild);
     state.logEntries.push(logDiv);
 
-    setTimeout(() => {
-      if (logDiv.parentNode) logDiv.remove();
-    }, 5000);
+    const removeEntry = () => {
+      // Keep the entry while the pointer is on it so its actions stay usable
+      if (logDiv.matches(':hover')) {
+        setTimeout(removeEntry, 1000);
+      } else if (logDiv.parentNode) {
+        logDiv.remove();
+      }
+    };
+    setTimeout(removeEntry, 5000);
 
     while (state.logEntries.length > CONFIG.MAX_LOG_ENTRIES) {
       const oldEntry = state.logEntries.shift();
@@ -1005,6 +1539,705 @@ function addLogEntry(entry) {
   }
 }
 
+function canEditRules(instanceId) {
+  if (!state.adminActions) return false;
+  const instance = instanceId ? state.instances.get(instanceId) : state.instances.values().next().value;
+  return Boolean(instance && instance.supportsRuleEditing);
+}
+
+function createRuleActions(domain, instanceId) {
+  const actions = document.createElement('span');
+  actions.className = 'rule-actions';
+
+  [['block', 'Block'], ['allow', 'Allow']].forEach(([action, text]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `rule-action rule-action-${action}`;
+    button.textContent = text;
+    button.title = `${text} ${domain} on the DNS server`;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      applyDomainRule(domain, action, instanceId);
+    });
+    actions.appendChild(button);
+  });
+
+  return actions;
+}
+
+// The admin token only lasts as long as the tab (sessionStorage), so it isn't
+// left behind in the browser. Signed-in admins use their session cookie instead
+function getStoredAdminToken() {
+  try {
+    return sessionStorage.getItem('adminToken') || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+function getAdminToken() {
+  let token = getStoredAdminToken();
+  if (!token) {
+    token = (window.prompt('Admin token (ADMIN_TOKEN on the server):') || '').trim();
+    try {
+      if (token) sessionStorage.setItem('adminToken', token);
+    } catch (error) {
+      console.warn('Failed to keep the admin token:', error);
+    }
+  }
+  return token;
+}
+
+// Resolves to null when no token was entered or the server rejected it.
+// Signed-in admins are recognized by their session cookie instead
+async function adminFetch(url, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (!state.session) {
+    const token = getAdminToken();
+    if (!token) return null;
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(url, {
+    method: body === undefined ? 'GET' : 'POST',
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (response.status === 401) {
+    if (state.session) {
+      window.location.href = '/login';
+      return null;
+    }
+    try {
+      sessionStorage.removeItem('adminToken');
+    } catch (error) {
+      // Storage is unavailable, so no token was kept
+    }
+    showNotification('Admin token rejected', true);
+    return null;
+  }
+
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+
+  return result;
+}
+
+async function applyDomainRule(domain, action, instanceId) {
+  const verbs = { block: 'Blocked', allow: 'Allowed', clear: 'Cleared rule for' };
+
+  try {
+    const result = await adminFetch('/api/rules', { domain, action, instance: instanceId });
+    if (!result) return;
+
+    showNotification(result.changed ? `${verbs[action]} ${domain}` : `No change for ${domain}`);
+  } catch (error) {
+    console.error(`Failed to ${action} ${domain}:`, error);
+    showNotification(`Failed to ${action} ${domain}: ${error.message}`, true);
+  }
+}
+
+function setupSearchPanel() {
+  const form = document.getElementById('search-form');
+  const status = document.getElementById('search-status');
+  const instanceSelect = document.getElementById('search-instance');
+  const more = document.getElementById('search-more');
+
+  if (form) {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      searchQueryLog(true);
+    });
+  }
+  if (status) status.addEventListener('change', () => searchQueryLog(true));
+  if (instanceSelect) instanceSelect.addEventListener('change', () => searchQueryLog(true));
+  if (more) more.addEventListener('click', () => searchQueryLog(false));
+}
+
+function renderSearchInstances() {
+  const section = document.getElementById('search-section');
+  const select = document.getElementById('search-instance');
+  if (!section || !select) return;
+
+  const searchable = [...state.instances.values()].filter(instance => instance.supportsQueryLogSearch);
+  section.hidden = searchable.length === 0;
+  select.hidden = searchable.length < 2;
+
+  select.innerHTML = '';
+  searchable.forEach(instance => {
+    const option = document.createElement('option');
+    option.value = instance.id;
+    option.textContent = instance.name;
+    select.appendChild(option);
+  });
+}
+
+async function searchQueryLog(reset) {
+  const results = document.getElementById('search-results');
+  const more = document.getElementById('search-more');
+  if (!results || state.search.loading) return;
+
+  if (reset) {
+    const instanceSelect = document.getElementById('search-instance');
+    state.search.instanceId = instanceSelect ? instanceSelect.value : null;
+    state.search.olderThan = null;
+    results.innerHTML = '';
+  }
+
+  const params = new URLSearchParams({
+    search: (document.getElementById('search-input')?.value || '').trim(),
+    status: document.getElementById('search-status')?.value || 'all',
+    limit: String(CONFIG.SEARCH_PAGE_SIZE)
+  });
+  if (state.search.instanceId) params.set('instance', state.search.instanceId);
+  if (state.search.olderThan) params.set('older_than', state.search.olderThan);
+
+  state.search.loading = true;
+  if (more) more.disabled = true;
+
+  try {
+    const response = await fetch(`/api/querylog?${params}`);
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+
+    const entries = Array.isArray(result.entries) ? result.entries : [];
+    entries.forEach(entry => results.appendChild(createSearchResult(entry, result.instance)));
+
+    if (reset && entries.length === 0) {
+      results.innerHTML = '<div class="search-empty">No matching queries</div>';
+    }
+
+    state.search.olderThan = typeof result.olderThan === 'string' ? result.olderThan : null;
+    if (more) more.hidden = !state.search.olderThan;
+  } catch (error) {
+    console.error('Query log search failed:', error);
+    showNotification(`Search failed: ${error.message}`, true);
+  } finally {
+    state.search.loading = false;
+    if (more) more.disabled = false;
+  }
+}
+
+function createSearchResult(entry, instanceId) {
+  const item = document.createElement('div');
+  item.className = entry.filtered ? 'search-result blocked' : 'search-result';
+  item.title = 'Replay on the map';
+
+  const time = new Date(entry.timestamp);
+  const client = sanitizeString(entry.clientName) || sanitizeString(entry.clientIp);
+  const answer = Array.isArray(entry.answer) && entry.answer.length > 0 ? entry.answer[0] : '';
+
+  item.innerHTML = `
+    <div class="search-result-domain">${sanitizeHTML(sanitizeString(entry.domain))}</div>
+    <div class="search-result-details">
+      ${sanitizeHTML(time.toLocaleString())} • ${sanitizeHTML(sanitizeString(entry.queryType))}
+      ${client ? ` • ${sanitizeHTML(client)}` : ''}
+      ${entry.filtered ? ' • <span class="log-blocked">BLOCKED</span>' : answer ? ` • <span class="log-ip">${sanitizeHTML(answer)}</span>` : ''}
+    </div>
+  `;
+
+  item.addEventListener('click', () => replaySearchResult(entry, instanceId));
+  return item;
+}
+
+async function replaySearchResult(entry, instanceId) {
+  const ip = Array.isArray(entry.answer) ? entry.answer.find(answer => typeof answer === 'string') : null;
+  if (!ip) {
+    showNotification(`${entry.domain} has no answer to place on the map`, true);
+    return;
+  }
+
+  try {
+    // Only admins get fresh lookups, everyone else what the server has cached
+    const token = state.session ? '' : getStoredAdminToken();
+    const response = await fetch(`/api/geo/${encodeURIComponent(ip)}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+
+    if (!result.destination) {
+      showNotification(`No location for ${ip}`, true);
+      return;
+    }
+
+    const instance = state.instances.get(instanceId);
+    createArc(instance ? instance.source : state.sourceLocation, result.destination, {
+      domain: sanitizeString(entry.domain),
+      ip,
+      queryType: sanitizeString(entry.queryType),
+      elapsed: entry.elapsed,
+      cnameChain: entry.cnameChain,
+      cached: entry.cached === true,
+      filtered: entry.filtered === true,
+      instance: instanceId
+    });
+  } catch (error) {
+    console.error(`Failed to replay ${entry.domain}:`, error);
+    showNotification(`Replay failed: ${error.message}`, true);
+  }
+}
+
+function setupReplayPanel() {
+  const refresh = document.getElementById('replay-refresh');
+  const start = document.getElementById('replay-start');
+  const pause = document.getElementById('replay-pause');
+  const stop = document.getElementById('replay-stop');
+  const seek = document.getElementById('replay-seek');
+
+  if (refresh) refresh.addEventListener('click', loadRecordings);
+  if (start) start.addEventListener('click', startReplay);
+  if (pause) {
+    pause.addEventListener('click', () => controlReplay({ action: state.replay.paused ? 'resume' : 'pause' }));
+  }
+  if (stop) stop.addEventListener('click', () => controlReplay({ action: 'stop' }));
+
+  if (seek) {
+    // Hold position updates while dragging, seek once on release
+    seek.addEventListener('input', () => {
+      state.replaySeeking = true;
+      renderReplayTime(Number(seek.value));
+    });
+    seek.addEventListener('change', () => {
+      state.replaySeeking = false;
+      controlReplay({ action: 'seek', position: Number(seek.value) });
+    });
+  }
+}
+
+function renderReplaySpeeds() {
+  const section = document.getElementById('replay-section');
+  const speeds = document.getElementById('replay-speeds');
+  if (section) section.hidden = !state.adminActions;
+  if (!speeds) return;
+
+  speeds.innerHTML = '';
+  state.replaySpeeds.forEach(speed => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'replay-speed';
+    button.dataset.speed = String(speed);
+    button.textContent = `${speed}x`;
+    button.addEventListener('click', () => {
+      if (state.replay.active) controlReplay({ action: 'speed', speed });
+    });
+    speeds.appendChild(button);
+  });
+
+  renderReplayState();
+}
+
+async function loadRecordings() {
+  const select = document.getElementById('replay-recording');
+  if (!select) return;
+
+  try {
+    const result = await adminFetch('/api/recordings');
+    if (!result) return;
+
+    const recordings = Array.isArray(result.recordings) ? result.recordings : [];
+    select.innerHTML = '';
+
+    if (recordings.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = result.recording ? 'No recordings yet' : 'Recording is off (RECORD_EVENTS)';
+      select.appendChild(option);
+      return;
+    }
+
+    recordings.forEach(recording => {
+      const option = document.createElement('option');
+      const started = recording.name.match(/^events-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/);
+      const startedAt = started ? new Date(`${started[1]}T${started[2]}:${started[3]}:${started[4]}Z`) : null;
+      const size = `${(recording.size / (1024 * 1024)).toFixed(1)} MB`;
+
+      option.value = recording.name;
+      option.textContent = startedAt
+        ? `${startedAt.toLocaleString()} (${size})${recording.name === result.current ? ' • recording' : ''}`
+        : recording.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Failed to load recordings:', error);
+    showNotification(`Failed to load recordings: ${error.message}`, true);
+  }
+}
+
+async function startReplay() {
+  const select = document.getElementById('replay-recording');
+  if (!select || !select.value) {
+    loadRecordings();
+    return;
+  }
+
+  const speed = state.replay.active ? state.replay.speed : state.replaySpeeds[0];
+
+  try {
+    await adminFetch('/api/replay', { recording: select.value, speed });
+  } catch (error) {
+    console.error('Failed to start replay:', error);
+    showNotification(`Replay failed: ${error.message}`, true);
+  }
+}
+
+async function controlReplay(command) {
+  try {
+    await adminFetch('/api/replay/control', command);
+  } catch (error) {
+    console.error(`Replay ${command.action} failed:`, error);
+    showNotification(`Replay ${command.action} failed: ${error.message}`, true);
+  }
+}
+
+function handleReplayState(data) {
+  const wasActive = state.replay.active;
+
+  state.replay = {
+    active: data.active === true,
+    recording: sanitizeString(data.recording),
+    paused: data.paused === true,
+    speed: Number(data.speed) || 1,
+    position: Number(data.position) || 0,
+    duration: Number(data.duration) || 0,
+    startedAt: Date.parse(data.startedAt) || 0
+  };
+
+  if (state.replay.active && !wasActive) {
+    showNotification('Replaying recorded traffic');
+  } else if (!state.replay.active && wasActive) {
+    showNotification('Back to live traffic');
+  }
+
+  renderReplayState();
+}
+
+function renderReplayState() {
+  const replay = state.replay;
+  const indicator = document.getElementById('replay-indicator');
+  const indicatorTime = document.getElementById('replay-indicator-time');
+  const controls = document.getElementById('replay-controls');
+  const seek = document.getElementById('replay-seek');
+  const pause = document.getElementById('replay-pause');
+
+  document.body.classList.toggle('replay-active', replay.active);
+  if (indicator) indicator.hidden = !replay.active;
+  if (controls) controls.hidden = !replay.active;
+  if (!replay.active) return;
+
+  if (indicatorTime) {
+    const time = new Date(replay.startedAt + replay.position);
+    indicatorTime.textContent = `${time.toLocaleString()} • ${replay.paused ? 'paused' : `${replay.speed}x`}`;
+  }
+
+  if (seek && !state.replaySeeking) {
+    seek.max = String(replay.duration);
+    seek.value = String(replay.position);
+  }
+
+  if (pause) pause.textContent = replay.paused ? 'Resume' : 'Pause';
+
+  document.querySelectorAll('.replay-speed').forEach(button => {
+    button.classList.toggle('active', Number(button.dataset.speed) === replay.speed);
+  });
+
+  if (!state.replaySeeking) renderReplayTime(replay.position);
+}
+
+function renderReplayTime(position) {
+  const time = document.getElementById('replay-time');
+  if (time) {
+    time.textContent = `${formatReplayDuration(position)} / ${formatReplayDuration(state.replay.duration)}`;
+  }
+}
+
+function formatReplayDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+function setupAdminPanel() {
+  const refresh = document.getElementById('admin-refresh');
+  const intervals = document.getElementById('admin-intervals');
+
+  if (refresh) refresh.addEventListener('click', loadAdminStatus);
+
+  document.querySelectorAll('[data-admin-action]').forEach(button => {
+    button.addEventListener('click', () => runAdminAction({ action: button.dataset.adminAction }));
+  });
+
+  if (intervals) {
+    intervals.addEventListener('submit', (e) => {
+      e.preventDefault();
+      runAdminAction({
+        action: 'set_intervals',
+        pollInterval: Number(document.getElementById('admin-poll-interval').value),
+        statsInterval: Number(document.getElementById('admin-stats-interval').value)
+      });
+    });
+  }
+}
+
+async function loadAdminStatus() {
+  try {
+    const status = await adminFetch('/api/admin/status');
+    if (status) renderAdminStatus(status);
+  } catch (error) {
+    console.error('Failed to load the admin status:', error);
+    showNotification(`Failed to load the admin status: ${error.message}`, true);
+  }
+}
+
+async function runAdminAction(command) {
+  const messages = {
+    clear_geo_cache: 'GeoIP cache cleared',
+    reset_circuit_breaker: 'Circuit breaker reset',
+    poll_now: 'Polled the DNS servers',
+    pause_polling: 'Polling paused',
+    resume_polling: 'Polling resumed',
+    set_intervals: 'Polling intervals updated'
+  };
+
+  try {
+    const status = await adminFetch('/api/admin/control', command);
+    if (!status) return;
+
+    renderAdminStatus(status);
+    showNotification(messages[command.action]);
+  } catch (error) {
+    console.error(`Admin action ${command.action} failed:`, error);
+    showNotification(`${command.action.replace(/_/g, ' ')} failed: ${error.message}`, true);
+  }
+}
+
+function renderAdminStatus(status) {
+  const container = document.getElementById('admin-status');
+  const pause = document.getElementById('admin-pause');
+  const pollInput = document.getElementById('admin-poll-interval');
+  const statsInput = document.getElementById('admin-stats-interval');
+  const geo = status.geo || {};
+  const polling = status.polling || {};
+
+  const pollingState = polling.paused ? 'paused'
+    : polling.active ? (polling.captureMode === 'always' ? 'running (always on)' : 'running')
+    : 'idle (no viewers)';
+  const rows = [
+    ['GeoIP cache', `${geo.cacheSize} / ${geo.maxCacheSize} (${geo.cacheHitRate} hits)`],
+    ['GeoIP API', `${geo.apiCalls} calls, ${geo.apiFailures} failed, ${geo.rateLimitHits} rate limited`],
+    ['Circuit breaker', `${geo.circuitBreakerState} (${geo.circuitBreakerFailures} failures)`],
+    ['Polling', `${pollingState}, ${polling.connections} connected`]
+  ];
+
+  if (container) {
+    container.innerHTML = rows.map(([label, value]) => `
+      <div class="admin-row">
+        <span class="admin-label">${sanitizeHTML(label)}</span>
+        <span class="admin-value${label === 'Circuit breaker' && geo.circuitBreakerState !== 'CLOSED' ? ' warning' : ''}">${sanitizeHTML(value)}</span>
+      </div>
+    `).join('');
+  }
+
+  if (pause) {
+    pause.dataset.adminAction = polling.paused ? 'resume_polling' : 'pause_polling';
+    pause.textContent = polling.paused ? 'Resume polling' : 'Pause polling';
+  }
+
+  // Leave the inputs alone while someone is typing in them
+  if (pollInput && document.activeElement !== pollInput) pollInput.value = String(polling.pollInterval);
+  if (statsInput && document.activeElement !== statsInput) statsInput.value = String(polling.statsInterval);
+}
+
+function setupTimeline() {
+  const live = document.getElementById('timeline-live');
+  const slider = document.getElementById('timeline-slider');
+  const windowSelect = document.getElementById('timeline-window');
+
+  if (live) live.addEventListener('click', showLiveTraffic);
+
+  if (windowSelect) {
+    windowSelect.innerHTML = CONFIG.TIMELINE_WINDOWS
+      .map(minutes => `<option value="${minutes}">${minutes} min</option>`)
+      .join('');
+    windowSelect.value = String(state.timeline.windowMinutes);
+    windowSelect.addEventListener('change', () => {
+      state.timeline.windowMinutes = Number(windowSelect.value) || CONFIG.TIMELINE_WINDOWS[0];
+      if (state.dataSource === 'historical') showHistoricalWindow(state.timeline.from);
+      else renderTimelineLabel();
+    });
+  }
+
+  if (slider) {
+    // Only the label follows the drag, the window loads on release
+    slider.addEventListener('input', () => renderTimelineLabel(getSliderWindowStart()));
+    slider.addEventListener('change', () => {
+      if (Number(slider.value) >= Number(slider.max)) {
+        showLiveTraffic();
+      } else {
+        showHistoricalWindow(getSliderWindowStart());
+      }
+    });
+  }
+}
+
+function getTimelineInstances() {
+  return [...state.instances.values()].filter(instance => instance.supportsQueryLogSearch && isInstanceVisible(instance.id));
+}
+
+function renderTimeline() {
+  const bar = document.getElementById('timeline-bar');
+  const slider = document.getElementById('timeline-slider');
+  const hasHistory = [...state.instances.values()].some(instance => instance.supportsQueryLogSearch);
+
+  if (bar) bar.hidden = !hasHistory;
+  if (!slider) return;
+
+  // One step per minute, the last step is live
+  slider.max = String(state.timeline.spanHours * 60);
+  if (state.dataSource === 'live') slider.value = slider.max;
+
+  renderTimelineLabel();
+}
+
+function getSliderWindowStart() {
+  const slider = document.getElementById('timeline-slider');
+  const minutesAgo = Number(slider.max) - Number(slider.value);
+  return Date.now() - Math.max(minutesAgo, state.timeline.windowMinutes) * 60000;
+}
+
+function renderTimelineLabel(from, detail) {
+  const label = document.getElementById('timeline-label');
+  const live = document.getElementById('timeline-live');
+  const historical = from !== undefined || state.dataSource === 'historical';
+
+  document.body.classList.toggle('timeline-historical', state.dataSource === 'historical');
+  if (live) live.classList.toggle('active', state.dataSource === 'live');
+  if (!label) return;
+
+  if (!historical) {
+    label.textContent = 'Live';
+    return;
+  }
+
+  const start = new Date(from ?? state.timeline.from);
+  const end = new Date(start.getTime() + state.timeline.windowMinutes * 60000);
+  const options = { hour: '2-digit', minute: '2-digit' };
+  const range = `${start.toLocaleDateString()} ${start.toLocaleTimeString([], options)}–${end.toLocaleTimeString([], options)}`;
+  label.textContent = detail ? `${range} • ${detail}` : range;
+}
+
+function resetDashboardData() {
+  stopTimelinePlayback();
+
+  state.totalQueries = 0;
+  state.blockedQueries = 0;
+  state.responseTimes = [];
+  state.transportCounts = {};
+  state.plainClients.clear();
+  state.transportDirty = true;
+  state.instanceStats = {};
+
+  state.instances.forEach(instance => {
+    instance.queryCount = 0;
+    const counter = document.getElementById(`instance-count-${instance.id}`);
+    if (counter) counter.textContent = '0';
+  });
+
+  state.logEntries.forEach(logDiv => logDiv.remove());
+  state.logEntries = [];
+
+  updateStats();
+}
+
+function showLiveTraffic() {
+  if (state.dataSource === 'live') return;
+
+  state.dataSource = 'live';
+  state.timeline.from = null;
+  state.timeline.requestId++;
+  resetDashboardData();
+  renderTimeline();
+  showNotification('Back to live traffic');
+}
+
+async function showHistoricalWindow(from) {
+  const instances = getTimelineInstances();
+  if (instances.length === 0) {
+    showNotification('No visible instance keeps a query log history', true);
+    return;
+  }
+
+  const to = Math.min(from + state.timeline.windowMinutes * 60000, Date.now());
+  const requestId = ++state.timeline.requestId;
+
+  state.dataSource = 'historical';
+  state.timeline.from = from;
+  resetDashboardData();
+  renderTimelineLabel(from, 'loading…');
+
+  const results = await Promise.all(instances.map(async instance => {
+    try {
+      const params = new URLSearchParams({ instance: instance.id, from: String(from), to: String(to) });
+      const response = await fetch(`/api/timeline?${params}`);
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+      return result;
+    } catch (error) {
+      console.error(`Failed to load the timeline of ${instance.name}:`, error);
+      showNotification(`Failed to load ${instance.name}: ${error.message}`, true);
+      return null;
+    }
+  }));
+
+  // A newer window or live mode was picked while this one loaded
+  if (requestId !== state.timeline.requestId) return;
+
+  const loaded = results.filter(Boolean);
+  loaded.forEach(result => handleStats({ instance: result.instance, data: result.stats }));
+
+  const events = loaded
+    .flatMap(result => Array.isArray(result.events) ? result.events : [])
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  const truncated = loaded.some(result => result.truncated);
+
+  renderTimelineLabel(from, `${events.length} events${truncated ? ' (oldest cut off)' : ''}`);
+  playTimelineEvents(events, from, to);
+}
+
+// Plays a window's events through the live handlers, compressed to a few seconds
+function playTimelineEvents(events, from, to) {
+  const scale = CONFIG.TIMELINE_PLAYBACK_DURATION / Math.max(to - from, 1);
+  const startedAt = Date.now();
+  let index = 0;
+
+  const tick = () => {
+    const position = from + (Date.now() - startedAt) / scale;
+
+    while (index < events.length && Date.parse(events[index].timestamp) <= position) {
+      handleDNSQuery(events[index]);
+      index++;
+    }
+
+    if (index >= events.length) stopTimelinePlayback();
+  };
+
+  stopTimelinePlayback();
+  state.timeline.playbackTimerId = setInterval(tick, CONFIG.TIMELINE_PLAYBACK_TICK);
+  tick();
+}
+
+function stopTimelinePlayback() {
+  if (state.timeline.playbackTimerId) {
+    clearInterval(state.timeline.playbackTimerId);
+    state.timeline.playbackTimerId = null;
+  }
+}
+
 function updateStatus(status, text) {
   try {
     const indicator = document.getElementById('status-indicator');
@@ -1038,7 +2271,6 @@ function updateStats() {
     const statTotal = document.getElementById('stat-total');
     const statBlocked = document.getElementById('stat-blocked');
     const statAvg = document.getElementById('stat-avg');
-    const statUpstreamAvg = document.getElementById('stat-upstream-avg');
 
     animateStat(statActive, state.activeArcs.length.toString());
     animateStat(statTotal, state.totalQueries.toString());
@@ -1057,18 +2289,7 @@ function updateStats() {
       animateStat(statAvg, '0ms');
     }
 
-    if (state.upstreamTimes.length > 0) {
-      const sum = state.upstreamTimes.reduce((a, b) => a + b, 0);
-      const avg = sum / state.upstreamTimes.length;
-
-      if (!isNaN(avg) && isFinite(avg)) {
-        animateStat(statUpstreamAvg, `${avg.toFixed(1)}ms`);
-      } else {
-        animateStat(statUpstreamAvg, '0ms');
-      }
-    } else {
-      animateStat(statUpstreamAvg, '0ms');
-    }
+    renderTransportShare();
   } catch (error) {
     console.error('Error updating stats:', error);
   }
@@ -1208,6 +2429,17 @@ function sanitizeHTML(str) {
   return div.innerHTML;
 }
 
+// sanitizeHTML leaves quotes alone, use this for values inside attributes
+function escapeAttribute(str) {
+  if (typeof str !== 'string') return '';
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
 function savePreference(key, value) {
   try {
     localStorage.setItem(key, value);
@@ -1245,6 +2477,8 @@ function cleanup() {
     clearInterval(state.statsUpdateIntervalId);
   }
 
+  stopTimelinePlayback();
+
   if (state.chartAnimationFrameId) {
     cancelAnimationFrame(state.chartAnimationFrameId);
   }
@@ -1545,6 +2779,10 @@ function showLayoutNotification(layout) {
     compact: 'Compact Layout'
   };
 
+  showNotification(layoutNames[layout]);
+}
+
+function showNotification(message, isError = false) {
   // Create notification element if it doesn't exist
   let notification = document.getElementById('layout-notification');
   if (!notification) {
@@ -1554,13 +2792,15 @@ function showLayoutNotification(layout) {
     document.body.appendChild(notification);
   }
 
-  notification.textContent = layoutNames[layout];
+  clearTimeout(notification.hideTimeoutId);
+  notification.textContent = message;
+  notification.classList.toggle('error', isError);
   notification.classList.add('show');
 
   // Remove after 2 seconds
-  setTimeout(() => {
+  notification.hideTimeoutId = setTimeout(() => {
     notification.classList.remove('show');
-  }, 2000);
+  }, isError ? 4000 : 2000);
 }
 
 function applyLayout(layout) {
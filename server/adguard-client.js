@@ -1,30 +1,219 @@
-import fetch from 'node-fetch';
-import dns from 'dns/promises';
+import DnsBackend from './dns-backend.js';
+
+// client_proto values in the query log; an empty string means plain DNS
+const CLIENT_PROTOCOLS = new Set(['doh', 'dot', 'doq', 'dnscrypt']);
 
 /**
  * AdGuard Home API Client
  * Handles authentication and fetching DNS query logs with proper error handling
  */
-class AdGuardClient {
+class AdGuardClient extends DnsBackend {
   constructor(url, username, password, options = {}) {
-    this.baseUrl = url.replace(/\/$/, ''); // Remove trailing slash
+    super(url, options);
+    this.backendName = 'AdGuard';
+    this.username = username;
+    this.password = password;
     this.authHeader = 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
-    this.timeout = options.timeout || 10000; // 10 second default timeout
-    this.maxRetries = options.maxRetries || 3;
-    this.retryDelay = options.retryDelay || 1000;
+
+    // 'auto' logs in via /control/login and falls back to Basic auth,
+    // 'session' requires a login session, 'basic' never logs in
+    this.authMode = ['auto', 'session', 'basic'].includes(options.authMode) ? options.authMode : 'auto';
+    this.sessionCookie = null;
+    this.sessionUnavailable = false;
+    this.loginPromise = null;
+
+    // Incremental fetching: page through /control/querylog until the last
+    // entry we delivered is reached again
+    this.pageSize = options.pageSize || 100;
+    this.maxPages = options.maxPages || 50;
+    this.cursor = null; // { nanos, keys } of the newest delivered entry
+    this.backlog = null; // { olderThan, cursor } while a backlog is read over several calls
+
+    // Client directory from /control/clients, refreshed in the background
+    this.clientRefreshInterval = options.clientRefreshInterval || 60000;
+    this.clientDirectory = { byId: new Map(), cidrs: [], autoByIp: new Map() };
+    this.clientsFetchedAt = 0;
+
+    // Custom rule edits read and rewrite the whole user rule list, so they run one at a time
+    this.supportsRuleEditing = true;
+    this.supportsQueryLogSearch = true;
+    this.ruleUpdateQueue = Promise.resolve();
   }
 
   /**
-   * Fetch DNS query logs from AdGuard Home
-   * @param {number} limit - Number of logs to fetch (not used by AdGuard API)
-   * @returns {Promise<Array>} Array of DNS query log entries
+   * Fetch a single page of DNS query logs from AdGuard Home
+   * @param {number} limit - Maximum number of entries to return
+   * @param {string|null} olderThan - Only return entries older than this RFC3339 time
+   * @returns {Promise<Array>} Array of DNS query log entries, newest first
    */
-  async getQueryLog(limit = 50) {
-    const url = `${this.baseUrl}/control/querylog`;
-    
+  async getQueryLog(limit = 50, olderThan = null) {
     try {
-      const data = await this._fetchWithRetry(url);
-      return this.parseQueryLogs(data.data || []);
+      const page = await this._fetchQueryLogPage(limit, olderThan);
+      await this._ensureClientDirectory();
+      return this.parseQueryLogs(page.data);
+    } catch (error) {
+      console.error('Error fetching AdGuard query log:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Search the query log with AdGuard's own filters
+   * @param {Object} options - Search options
+   * @param {string} options.search - Domain or client substring to match
+   * @param {string} options.responseStatus - all, filtered, blocked, processed, ...
+   * @param {number} options.limit - Page size
+   * @param {string|null} options.olderThan - Only return entries older than this RFC3339 time
+   * @returns {Promise<Object>} { entries, oldest } where oldest is the olderThan value for the next page, or null
+   */
+  async searchQueryLog({ search = '', responseStatus = 'all', limit = 50, olderThan = null } = {}) {
+    try {
+      const page = await this._fetchQueryLogPage(limit, olderThan, { search, responseStatus });
+      await this._ensureClientDirectory();
+      return {
+        entries: this.parseQueryLogs(page.data),
+        oldest: page.data.length >= limit ? page.oldest : null
+      };
+    } catch (error) {
+      console.error('Error searching AdGuard query log:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the queries logged in a past time window
+   * Pages backwards from the end of the window until it reaches the start
+   * @param {Object} options - Range options
+   * @param {Date} options.from - Start of the window
+   * @param {Date} options.to - End of the window (exclusive)
+   * @param {number} options.limit - Maximum number of entries to return
+   * @returns {Promise<Object>} { entries, truncated } with entries newest first
+   */
+  async getQueryLogRange({ from, to, limit = 2000 }) {
+    const fromNanos = BigInt(from.getTime()) * 1000000n;
+    const logs = [];
+    let olderThan = to.toISOString();
+    let truncated = false;
+    let pages = 0;
+
+    try {
+      while (true) {
+        if (pages >= this.maxPages) {
+          truncated = true;
+          break;
+        }
+
+        const page = await this._fetchQueryLogPage(this.pageSize, olderThan);
+        pages++;
+
+        // Entries without a readable time are left out; only an entry
+        // older than the window ends it
+        let reachedStart = false;
+        for (const log of page.data) {
+          const nanos = this._toNanos(log.time);
+          if (nanos === null) continue;
+          if (nanos < fromNanos) {
+            reachedStart = true;
+            break;
+          }
+          logs.push(log);
+        }
+
+        if (logs.length > limit) {
+          truncated = true;
+          break;
+        }
+        if (reachedStart || !page.oldest || page.data.length < this.pageSize) break;
+
+        olderThan = page.oldest;
+      }
+
+      await this._ensureClientDirectory();
+      return { entries: this.parseQueryLogs(logs.slice(0, limit)), truncated };
+    } catch (error) {
+      console.error('Error fetching AdGuard query log range:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch every query logged since the previous call
+   * Pages backwards with older_than/limit until the last delivered entry is
+   * reached, so each query is returned exactly once regardless of query rate.
+   * A backlog longer than maxPages is read over several calls: the newest
+   * pages first, then on from where paging stopped until the cursor, before
+   * anything newer is fetched again.
+   * The first call only primes the cursor and returns the last few seconds.
+   * @returns {Promise<Array>} New DNS query log entries, oldest first
+   */
+  async getNewQueryLogs() {
+    try {
+      const fresh = [];
+      const resuming = this.backlog;
+      let olderThan = resuming ? resuming.olderThan : null;
+      let reachedCursor = false;
+      let morePages = false;
+      let pages = 0;
+
+      while (pages < this.maxPages) {
+        const page = await this._fetchQueryLogPage(this.pageSize, olderThan);
+        pages++;
+        morePages = false;
+
+        for (const log of page.data) {
+          // An entry without a readable time can't be placed against the
+          // cursor; skip it rather than let it end the scan
+          const nanos = this._toNanos(log.time);
+          if (nanos === null) continue;
+
+          if (this.cursor && !this._isAfterCursor(log)) {
+            // Entries sharing the cursor timestamp may be interleaved, only
+            // an entry strictly older than the cursor ends the scan
+            if (nanos < this.cursor.nanos) {
+              reachedCursor = true;
+              break;
+            }
+            // Same time and key as an entry already delivered
+            this.duplicateEntries++;
+            continue;
+          }
+          fresh.push(log);
+        }
+
+        // Without a cursor there is nothing to catch up with yet
+        if (reachedCursor || !this.cursor) break;
+        if (!page.oldest || page.data.length < this.pageSize) break;
+
+        olderThan = page.oldest;
+        morePages = true;
+      }
+
+      const isFirstFetch = !this.cursor;
+
+      if (morePages) {
+        // Keep the cursor where it is and continue below this page next time;
+        // the newest entry read so far becomes the cursor once caught up
+        this.backlog = {
+          olderThan,
+          cursor: resuming ? resuming.cursor : this._cursorAfter(this.cursor, fresh)
+        };
+        console.warn(`⚠️  Query log backlog exceeds ${this.maxPages} pages of ${this.pageSize}, reading the rest on the next poll`);
+      } else if (resuming) {
+        this.cursor = resuming.cursor;
+        this.backlog = null;
+      } else {
+        this.cursor = this._cursorAfter(this.cursor, fresh);
+      }
+
+      await this._ensureClientDirectory();
+
+      let entries = this.parseQueryLogs(fresh).reverse();
+
+      if (isFirstFetch) {
+        entries = this._applyInitialLookback(entries);
+      }
+
+      return entries;
     } catch (error) {
       console.error('Error fetching AdGuard query log:', error.message);
       throw error;
@@ -46,7 +235,9 @@ class AdGuardClient {
         avgProcessingTime: data.avg_processing_time || 0,
         topQueriedDomains: data.top_queried_domains || [],
         topBlockedDomains: data.top_blocked_domains || [],
-        topClients: data.top_clients || []
+        topClients: data.top_clients || [],
+        topUpstreamsResponses: data.top_upstreams_responses || [],
+        topUpstreamsAvgTime: data.top_upstreams_avg_time || []
       };
     } catch (error) {
       console.error('Error fetching AdGuard stats:', error.message);
@@ -62,14 +253,131 @@ class AdGuardClient {
     const url = `${this.baseUrl}/control/status`;
     
     try {
+      await this._ensureSession();
       const response = await this._fetch(url);
       return response.ok;
     } catch (error) {
+      if (error.code === 'AUTH_FAILED') throw error;
+      if (error.status === 401 || error.status === 403) {
+        throw this._authError(`AdGuard rejected the credentials (HTTP ${error.status})`);
+      }
       console.error('AdGuard connection test failed:', error.message);
       return false;
     }
   }
 
+  /**
+   * Log in with /control/login and keep the session cookie
+   * @returns {Promise<void>}
+   */
+  async login() {
+    this.sessionCookie = null;
+
+    let response;
+    try {
+      response = await this._fetch(`${this.baseUrl}/control/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: this.username, password: this.password })
+      });
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        throw this._authError('AdGuard rejected the username or password');
+      }
+      throw error;
+    }
+
+    const setCookie = response.headers.raw()['set-cookie'] || [];
+    const session = setCookie
+      .map(cookie => cookie.split(';')[0].trim())
+      .find(cookie => cookie.startsWith('agh_session='));
+
+    if (!session) {
+      throw new Error('AdGuard login response did not include a session cookie');
+    }
+
+    this.sessionCookie = session;
+    console.log(`🔑 Logged in to AdGuard at ${this.baseUrl}`);
+  }
+
+  /**
+   * Block, allow or clear the custom user rule for a domain
+   * Replaces any existing ||domain^ or @@||domain^ rule, leaving other rules untouched
+   * @param {string} domain - Sanitized domain name
+   * @param {string} action - 'block', 'allow' or 'clear'
+   * @returns {Promise<Object>} { changed, rule } where rule is the rule now in place, or null
+   */
+  async updateDomainRule(domain, action) {
+    const update = this.ruleUpdateQueue.then(() => this._updateDomainRule(domain, action));
+    this.ruleUpdateQueue = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Reload the client directory from /control/clients
+   * Covers persistent clients (matched by IP, CIDR or ClientID) and runtime
+   * clients AdGuard discovered through DHCP, rDNS, ARP or /etc/hosts
+   * @returns {Promise<void>}
+   */
+  async refreshClients() {
+    const data = await this._fetchWithRetry(`${this.baseUrl}/control/clients`);
+    const directory = { byId: new Map(), cidrs: [], autoByIp: new Map() };
+
+    for (const client of data.clients || []) {
+      const info = {
+        name: String(client.name || ''),
+        ids: Array.isArray(client.ids) ? client.ids.map(String) : [],
+        tags: Array.isArray(client.tags) ? client.tags.map(String) : []
+      };
+
+      for (const id of info.ids) {
+        const range = this._parseCidr(id);
+        if (range) {
+          directory.cidrs.push({ ...range, info });
+        } else {
+          directory.byId.set(id.toLowerCase(), info);
+        }
+      }
+    }
+
+    for (const client of data.auto_clients || []) {
+      if (client.ip && client.name) {
+        directory.autoByIp.set(client.ip, { name: String(client.name), ids: [client.ip], tags: [] });
+      }
+    }
+
+    this.clientDirectory = directory;
+    this.clientsFetchedAt = Date.now();
+  }
+
+  /**
+   * Find the friendly name, ids and tags for a query's client
+   * @param {string} ip - Client IP address
+   * @param {string} clientId - ClientID from encrypted DNS, if any
+   * @param {Object} clientInfo - client_info from the query log entry
+   * @returns {Object|null} { name, ids, tags } or null when unknown
+   */
+  lookupClient(ip, clientId, clientInfo) {
+    const { byId, cidrs, autoByIp } = this.clientDirectory;
+
+    if (clientId && byId.has(clientId.toLowerCase())) return byId.get(clientId.toLowerCase());
+    if (byId.has(ip)) return byId.get(ip);
+
+    const ipValue = this._ipv4ToInt(ip);
+    if (ipValue !== null) {
+      const range = cidrs.find(cidr => ((ipValue & cidr.mask) >>> 0) === cidr.network);
+      if (range) return range.info;
+    }
+
+    if (autoByIp.has(ip)) return autoByIp.get(ip);
+
+    if (clientInfo?.name) {
+      return { name: String(clientInfo.name), ids: [ip], tags: [] };
+    }
+
+    return null;
+  }
+
   /**
    * Parse and sanitize DNS query logs
    * @param {Array} logs - Raw log entries from AdGuard
@@ -90,234 +398,294 @@ class AdGuardClient {
         (log.rule && log.rule.length > 0)
       );
 
-      // Calculate upstream elapsed time
-      // AdGuard doesn't provide separate upstream time, so we estimate:
-      // - For cached queries: upstream time is 0 (served from cache)
-      // - For non-cached queries: upstream is ~85% of total (AdGuard processing is ~15%)
-      let upstreamElapsed = null;
+      // AdGuard only logs the total time per query; upstream latency comes
+      // from the per-upstream averages in getStats()
       const totalElapsed = log.elapsedMs ? parseFloat(log.elapsedMs) : 0;
-      
-      if (log.cached) {
-        upstreamElapsed = 0; // Cached responses don't hit upstream
-      } else if (totalElapsed > 0 && log.upstream) {
-        // Query went to upstream DNS server - estimate upstream time
-        upstreamElapsed = (totalElapsed * 0.85).toFixed(2);
-      } else if (totalElapsed > 0) {
-        // No upstream server listed but query processed (possibly local response)
-        upstreamElapsed = (totalElapsed * 0.5).toFixed(2);
-      }
 
       const parsedAnswer = this.parseAnswer(log.answer);
+      const clientIp = this.sanitizeIP(log.client);
+      const clientEntry = this.lookupClient(clientIp, log.client_id, log.client_info);
 
       return {
         timestamp: new Date(log.time),
-        client: this.sanitizeIP(log.client),
+        client: clientIp,
+        clientName: clientEntry?.name || '',
+        clientIds: clientEntry?.ids || [],
+        clientTags: clientEntry?.tags || [],
         domain: this.sanitizeDomain(log.question?.name || 'unknown'),
         type: log.question?.type || 'A',
         status: log.status || 'NOERROR',
         elapsed: totalElapsed.toFixed(2),
         answer: parsedAnswer.ips, // Extract IPs array
         cname: parsedAnswer.cname, // Store CNAME for later resolution
+        cnameChain: parsedAnswer.chain,
         upstream: log.upstream || '',
-        upstreamElapsed,
         cached: log.cached || false,
         filtered,
-        reason: log.reason || ''
+        reason: log.reason || '',
+        protocol: CLIENT_PROTOCOLS.has(log.client_proto) ? log.client_proto : 'plain',
+        ecs: typeof log.ecs === 'string' && log.ecs ? log.ecs : null,
+        dnssec: log.answer_dnssec === true,
+        needsResolution: false
       };
     });
   }
 
   /**
    * Parse DNS answer to extract IP addresses
-   * Follows CNAME chains when possible
+   * Keeps the whole CNAME chain: AdGuard lists CNAME records in resolution
+   * order, each target being the owner of the next record
    * @param {Array} answer - DNS answer array
-   * @returns {Object} Object with IPs array and optional CNAME to resolve
+   * @returns {Object} { ips, cname, chain } where cname is the last alias to resolve when there are no IPs
    */
   parseAnswer(answer) {
-    if (!answer || !Array.isArray(answer)) return { ips: [], cname: null };
+    if (!answer || !Array.isArray(answer)) return { ips: [], cname: null, chain: [] };
 
     const ips = [];
-    let cnameTarget = null;
-
-    // First pass: collect all A/AAAA records directly
-    for (const record of answer) {
-      if ((record.type === 'A' || record.type === 'AAAA') && record.value) {
-        if (this.isValidIP(record.value)) {
-          ips.push(record.value);
+    const chain = [];
+
+    const collect = records => {
+      for (const record of records) {
+        if ((record.type === 'A' || record.type === 'AAAA') && record.value) {
+          if (this.isValidIP(record.value)) {
+            ips.push(record.value);
+          }
+        } else if (record.type === 'CNAME' && record.value) {
+          const target = this.sanitizeDomain(record.value);
+          if (!chain.includes(target)) chain.push(target);
+
+          // Some versions nest the records a CNAME points to
+          if (Array.isArray(record.answer)) collect(record.answer);
         }
-      } else if (record.type === 'CNAME' && record.value && !cnameTarget) {
-        // Store the first CNAME target for potential resolution
-        cnameTarget = record.value;
       }
-    }
-
-    // If we found IPs, return them (most common case)
-    if (ips.length > 0) {
-      return { ips: ips.slice(0, 3), cname: null };
-    }
+    };
 
-    // Second pass: if no IPs found, check if there are CNAMEs with nested answers
-    const allRecords = answer.flatMap(a => {
-      // Check if this is a CNAME with nested answer
-      if (a.type === 'CNAME' && Array.isArray(a.answer)) {
-        return a.answer;
-      }
-      return [a];
-    });
+    collect(answer);
 
-    // Try again with flattened records
-    for (const record of allRecords) {
-      if ((record.type === 'A' || record.type === 'AAAA') && record.value) {
-        if (this.isValidIP(record.value)) {
-          ips.push(record.value);
-        }
-      }
-    }
+    return {
+      ips: ips.slice(0, 3),
+      cname: ips.length === 0 && chain.length > 0 ? chain[chain.length - 1] : null,
+      chain
+    };
+  }
 
-    if (ips.length > 0) {
-      return { ips: ips.slice(0, 3), cname: null };
+  /**
+   * Rewrite the user rules with /control/filtering/set_rules
+   * @private
+   */
+  async _updateDomainRule(domain, action) {
+    const blockRule = `||${domain}^`;
+    const allowRule = `@@||${domain}^`;
+
+    const status = await this._fetchWithRetry(`${this.baseUrl}/control/filtering/status`);
+    const currentRules = Array.isArray(status.user_rules) ? status.user_rules : [];
+    const rules = currentRules.filter(rule => rule.trim() !== blockRule && rule.trim() !== allowRule);
+
+    let rule = null;
+    if (action === 'block') rule = blockRule;
+    if (action === 'allow') rule = allowRule;
+    if (rule) rules.push(rule);
+
+    const changed = rules.length !== currentRules.length ||
+      rules.some((item, index) => item !== currentRules[index]);
+
+    if (changed) {
+      await this._fetchWithRetry(`${this.baseUrl}/control/filtering/set_rules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules })
+      });
     }
 
-    // No IPs found, return CNAME for potential resolution
-    return { ips: [], cname: cnameTarget };
+    return { changed, rule };
   }
 
   /**
-   * Resolve CNAME to IP addresses using system DNS
-   * @param {string} hostname - Hostname to resolve
-   * @returns {Promise<Array>} Array of IP addresses
+   * Refresh the client directory when it is older than the refresh interval
+   * A failed refresh keeps the previous directory and never fails polling
+   * @private
    */
-  async resolveCNAME(hostname) {
-    if (!hostname || typeof hostname !== 'string') return [];
+  async _ensureClientDirectory() {
+    if (Date.now() - this.clientsFetchedAt < this.clientRefreshInterval) return;
 
     try {
-      // Try IPv4 first
-      const addresses = await dns.resolve4(hostname);
-      return addresses.slice(0, 3); // Limit to 3 IPs
-    } catch (err) {
-      // If IPv4 fails, try IPv6
-      try {
-        const addresses = await dns.resolve6(hostname);
-        return addresses.slice(0, 3);
-      } catch (err2) {
-        // Both failed
-        console.log(`📋 CNAME resolution failed for ${hostname}: ${err.code || err.message}`);
-        return [];
-      }
+      await this.refreshClients();
+    } catch (error) {
+      if (error.code === 'AUTH_FAILED') throw error;
+
+      // Try again on the next interval rather than on every poll
+      this.clientsFetchedAt = Date.now();
+      console.warn(`⚠️  Failed to refresh AdGuard clients: ${error.message}`);
     }
   }
 
   /**
-   * Validate IP address format
-   * @param {string} ip - IP address to validate
-   * @returns {boolean}
+   * Parse an IPv4 CIDR client id like 192.168.1.0/24
+   * @private
    */
-  isValidIP(ip) {
-    if (!ip || typeof ip !== 'string') return false;
-    
-    // Exclude special addresses
-    if (ip === '::' || ip === '0.0.0.0' || ip === '127.0.0.1' || ip === '::1') {
-      return false;
-    }
+  _parseCidr(id) {
+    const match = id.match(/^([\d.]+)\/(\d{1,2})$/);
+    if (!match) return null;
 
-    // IPv4 validation
-    const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
-    if (ipv4Regex.test(ip)) {
-      const parts = ip.split('.').map(Number);
-      return parts.every(part => part >= 0 && part <= 255);
-    }
+    const base = this._ipv4ToInt(match[1]);
+    const bits = parseInt(match[2], 10);
+    if (base === null || bits > 32) return null;
 
-    // IPv6 validation (simplified)
-    const ipv6Regex = /^([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}$/;
-    return ipv6Regex.test(ip);
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return { network: (base & mask) >>> 0, mask };
   }
 
   /**
-   * Sanitize IP address (remove port, validate format)
-   * @param {string} ip - IP address
-   * @returns {string} Sanitized IP
+   * Convert a dotted IPv4 address to an unsigned integer
+   * @private
    */
-  sanitizeIP(ip) {
-    if (!ip || typeof ip !== 'string') return 'unknown';
-    
-    // Remove port if present (handle both IPv4:port and [IPv6]:port)
-    const match = ip.match(/^\[?([^\]]+)\]?(?::\d+)?$/);
-    return match ? match[1] : ip;
+  _ipv4ToInt(ip) {
+    if (typeof ip !== 'string' || !/^(\d{1,3}\.){3}\d{1,3}$/.test(ip)) return null;
+
+    const parts = ip.split('.').map(Number);
+    if (parts.some(part => part > 255)) return null;
+
+    return parts.reduce((value, part) => ((value << 8) | part) >>> 0, 0);
   }
 
   /**
-   * Sanitize domain name
-   * @param {string} domain - Domain name
-   * @returns {string} Sanitized domain
+   * Fetch one raw page of the query log
+   * @private
    */
-  sanitizeDomain(domain) {
-    if (!domain || typeof domain !== 'string') return 'unknown';
-    
-    // Remove trailing dot, convert to lowercase, and trim
-    return domain.replace(/\.$/, '').toLowerCase().trim();
+  async _fetchQueryLogPage(limit, olderThan = null, filters = {}) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (olderThan) params.set('older_than', olderThan);
+    if (filters.search) params.set('search', filters.search);
+    if (filters.responseStatus && filters.responseStatus !== 'all') {
+      params.set('response_status', filters.responseStatus);
+    }
+
+    const data = await this._fetchWithRetry(`${this.baseUrl}/control/querylog?${params}`);
+    return {
+      data: Array.isArray(data.data) ? data.data : [],
+      oldest: data.oldest || null
+    };
   }
 
   /**
-   * Fetch with timeout and abort controller
+   * Check whether a raw log entry is newer than the cursor
    * @private
    */
-  async _fetch(url, options = {}) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+  _isAfterCursor(log) {
+    const nanos = this._toNanos(log.time);
+    if (nanos === null) return false;
+    if (nanos > this.cursor.nanos) return true;
+    return nanos === this.cursor.nanos && !this.cursor.keys.has(this._entryKey(log));
+  }
 
-    try {
-      const response = await fetch(url, {
-        ...options,
-        headers: {
-          'Authorization': this.authHeader,
-          ...options.headers
-        },
-        signal: controller.signal
-      });
+  /**
+   * The cursor moved to the newest of the given raw entries
+   * Keeps the keys of every entry at that exact timestamp so siblings that
+   * arrive later with the same time are still recognised as new
+   * @private
+   */
+  _cursorAfter(cursor, logs) {
+    let next = cursor ? { nanos: cursor.nanos, keys: new Set(cursor.keys) } : null;
 
-      clearTimeout(timeoutId);
+    for (const log of logs) {
+      const nanos = this._toNanos(log.time);
+      if (nanos === null) continue;
 
-      if (!response.ok) {
-        throw new Error(`AdGuard API error: ${response.status} ${response.statusText}`);
+      if (!next || nanos > next.nanos) {
+        next = { nanos, keys: new Set() };
       }
-
-      return response;
-    } catch (error) {
-      clearTimeout(timeoutId);
-      
-      if (error.name === 'AbortError') {
-        throw new Error(`Request timeout after ${this.timeout}ms`);
+      if (nanos === next.nanos) {
+        next.keys.add(this._entryKey(log));
       }
-      
-      throw error;
     }
+    return next;
   }
 
   /**
-   * Fetch with retry logic
+   * Identity of a raw log entry within a single timestamp
    * @private
    */
-  async _fetchWithRetry(url, options = {}, retryCount = 0) {
+  _entryKey(log) {
+    return `${log.time}|${log.client}|${log.question?.name}|${log.question?.type}`;
+  }
+
+  /**
+   * Convert an RFC3339 timestamp to nanoseconds since the epoch
+   * AdGuard reports nanosecond precision, which Date would truncate
+   * @private
+   */
+  _toNanos(time) {
+    if (typeof time !== 'string') return null;
+
+    const match = time.match(/^(.+T\d{2}:\d{2}:\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:\d{2})$/);
+    if (!match) {
+      const ms = Date.parse(time);
+      return isNaN(ms) ? null : BigInt(ms) * 1000000n;
+    }
+
+    const seconds = Date.parse(`${match[1]}${match[3]}`);
+    if (isNaN(seconds)) return null;
+
+    const fraction = (match[2] || '').padEnd(9, '0').slice(0, 9);
+    return BigInt(seconds) * 1000000n + BigInt(fraction);
+  }
+
+  /**
+   * Log in unless a session exists or this client uses Basic auth only
+   * In 'auto' mode an unusable login endpoint falls back to Basic auth,
+   * rejected credentials are reported either way. Concurrent requests share
+   * one login.
+   * @protected
+   */
+  async _ensureSession() {
+    if (!this._usesSession() || this.sessionCookie) return;
+
     try {
-      const response = await this._fetch(url, options);
-      return await response.json();
+      this.loginPromise ??= this.login().finally(() => {
+        this.loginPromise = null;
+      });
+      await this.loginPromise;
     } catch (error) {
-      if (retryCount < this.maxRetries) {
-        console.warn(`Retry ${retryCount + 1}/${this.maxRetries} for ${url}: ${error.message}`);
-        await this._delay(this.retryDelay * (retryCount + 1)); // Exponential backoff
-        return this._fetchWithRetry(url, options, retryCount + 1);
-      }
-      
-      throw error;
+      if (this.authMode === 'session' || error.code === 'AUTH_FAILED') throw error;
+
+      // Login endpoint unusable here (old version, proxy); stop trying
+      this.sessionUnavailable = true;
+      console.warn(`⚠️  AdGuard session login failed (${error.message}), falling back to Basic auth`);
     }
   }
 
   /**
-   * Delay helper for retries
-   * @private
+   * Forget the session cookie so the next request logs in again
+   * @protected
+   */
+  _clearSession() {
+    this.sessionCookie = null;
+  }
+
+  /**
+   * @protected
+   */
+  _sessionId() {
+    return this.sessionCookie;
+  }
+
+  /**
+   * Whether requests should authenticate with a login session
+   * @protected
+   */
+  _usesSession() {
+    return this.authMode === 'session' || (this.authMode === 'auto' && !this.sessionUnavailable);
+  }
+
+  /**
+   * Authentication headers for the current auth mode and session
+   * @protected
    */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _authHeaders() {
+    const headers = {};
+    if (this.sessionCookie) headers['Cookie'] = this.sessionCookie;
+    if (this.authMode !== 'session') headers['Authorization'] = this.authHeader;
+    return headers;
   }
 }
 
@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Audit Log
+ * Append-only record of actions taken from the dashboard, one JSON object
+ * per line, so every rule change can be traced back to who made it and when
+ */
+class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Append an action to the audit log
+   * @param {Object} event - Action details (action, actor, ip, instance, domain, result, ...)
+   * @returns {Promise<Object>} The stored record
+   */
+  async record(event) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      ...event
+    };
+
+    // Writes are chained so concurrent actions never interleave lines
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+    });
+    this.writeQueue = write.catch(() => {});
+
+    try {
+      await write;
+    } catch (error) {
+      console.error(`❌ Failed to write audit log ${this.filePath}:`, error.message);
+    }
+
+    console.log(`📝 Audit: ${record.actor || 'unknown'} ${record.action} ${record.domain || record.recording || ''} on ${record.instance || '-'} → ${record.result}`);
+    return record;
+  }
+
+  /**
+   * Read the most recent audit records
+   * @param {number} limit - Maximum number of records to return
+   * @returns {Promise<Array>} Records, newest first
+   */
+  async getRecent(limit = 100) {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    const lines = content.split('\n');
+
+    for (let i = lines.length - 1; i >= 0 && records.length < limit; i--) {
+      if (!lines[i].trim()) continue;
+      try {
+        records.push(JSON.parse(lines[i]));
+      } catch (error) {
+        // Skip a partially written line
+      }
+    }
+
+    return records;
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,349 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CONFIG_FILE_NAMES = ['config.yaml', 'config.yml', 'config.json'];
+
+// Keys holding a list instead of a single setting
+const LIST_KEYS = ['instances', 'users'];
+
+/**
+ * Every setting with its environment variable, type, default and limits
+ * values: the only strings allowed
+ * reload: applied while running when the config file changes
+ * secret: masked when the effective configuration is printed
+ */
+const SETTINGS = {
+  port: { env: 'PORT', type: 'integer', default: 8080, min: 1, max: 65535 },
+  captureMode: { env: 'CAPTURE_MODE', type: 'string', default: 'viewers', values: ['viewers', 'always'], reload: true },
+  pollInterval: { env: 'POLL_INTERVAL_MS', type: 'integer', default: 2000, min: 500, max: 60000, reload: true },
+  statsInterval: { env: 'STATS_INTERVAL_MS', type: 'integer', default: 5000, min: 1000, max: 300000, reload: true },
+  queryLogPageSize: { env: 'QUERYLOG_PAGE_SIZE', type: 'integer', default: 100, min: 1, max: 5000 },
+  queryLogMaxPages: { env: 'QUERYLOG_MAX_PAGES', type: 'integer', default: 50, min: 1, max: 1000 },
+  broadcastInterval: { env: 'BROADCAST_INTERVAL_MS', type: 'integer', default: 100, min: 10, max: 1000, reload: true },
+  snapshotEvents: { env: 'SNAPSHOT_EVENTS', type: 'integer', default: 500, min: 0, max: 10000 },
+  maxConcurrentArcs: { env: 'MAX_CONCURRENT_ARCS', type: 'integer', default: 50, min: 1, max: 1000, reload: true },
+  lookupResolver: { env: 'LOOKUP_RESOLVER', type: 'string', default: 'system' },
+  lookupCacheSize: { env: 'LOOKUP_CACHE_SIZE', type: 'integer', default: 1000, min: 1, max: 1000000 },
+  sourceLat: { env: 'SOURCE_LAT', type: 'number', default: 3.139, min: -90, max: 90 },
+  sourceLng: { env: 'SOURCE_LNG', type: 'number', default: 101.6869, min: -180, max: 180 },
+  sourceCity: { env: 'SOURCE_CITY', type: 'string', default: 'Kuala Lumpur' },
+  adminToken: { env: 'ADMIN_TOKEN', type: 'string', default: '', secret: true },
+  authToken: { env: 'AUTH_TOKEN', type: 'string', default: '', secret: true },
+  sessionSecret: { env: 'SESSION_SECRET', type: 'string', default: '', secret: true },
+  metricsToken: { env: 'METRICS_TOKEN', type: 'string', default: '', secret: true },
+  sessionHours: { env: 'SESSION_HOURS', type: 'integer', default: 12, min: 1, max: 504 },
+  auditLogFile: { env: 'AUDIT_LOG_FILE', type: 'string', default: path.join(__dirname, '../data/audit.log') },
+  recordEvents: { env: 'RECORD_EVENTS', type: 'boolean', default: false },
+  recordingsDir: { env: 'RECORDINGS_DIR', type: 'string', default: path.join(__dirname, '../data/recordings') },
+  recordingMaxFileMb: { env: 'RECORDING_MAX_FILE_MB', type: 'integer', default: 10, min: 1, max: 10000 },
+  recordingMaxFiles: { env: 'RECORDING_MAX_FILES', type: 'integer', default: 20, min: 1, max: 10000 },
+  historyEnabled: { env: 'HISTORY_ENABLED', type: 'boolean', default: true },
+  historyDir: { env: 'HISTORY_DIR', type: 'string', default: path.join(__dirname, '../data/history') },
+  historyRetentionDays: { env: 'HISTORY_RETENTION_DAYS', type: 'integer', default: 7, min: 1, max: 3650 },
+  timelineMaxEntries: { env: 'TIMELINE_MAX_ENTRIES', type: 'integer', default: 2000, min: 1, max: 50000, reload: true },
+  timelineSpanHours: { env: 'TIMELINE_SPAN_HOURS', type: 'integer', default: 24, min: 1, max: 720, reload: true },
+  geoApiUrl: { env: 'GEOIP_API_URL', type: 'string', default: 'http://ip-api.com/json' },
+  geoApiTimeout: { env: 'GEOIP_API_TIMEOUT', type: 'integer', default: 5000, min: 100, max: 60000, reload: true },
+  geoMaxRetries: { env: 'GEOIP_MAX_RETRIES', type: 'integer', default: 2, min: 1, max: 10, reload: true },
+  geoRetryDelay: { env: 'GEOIP_RETRY_DELAY', type: 'integer', default: 1000, min: 1, max: 60000, reload: true },
+  geoMaxCacheSize: { env: 'GEOIP_MAX_CACHE_SIZE', type: 'integer', default: 10000, min: 1, max: 1000000 },
+  geoMaxRequestsPerMinute: { env: 'GEOIP_MAX_REQUESTS_PER_MINUTE', type: 'integer', default: 15, min: 1, max: 100000, reload: true },
+  geoMinRequestDelay: { env: 'GEOIP_MIN_REQUEST_DELAY', type: 'integer', default: 4000, min: 1, max: 60000, reload: true }
+};
+
+/**
+ * Config File
+ * Reads the settings from an optional YAML or JSON file and the environment,
+ * checks them against SETTINGS and watches the file for changes.
+ * Environment variables win over the file, the file over the defaults.
+ * Besides the settings the file may hold `instances`, the same list as
+ * ADGUARD_INSTANCES, and `users`, the same list as AUTH_USERS.
+ */
+class ConfigFile {
+  constructor(filePath = null, env = process.env) {
+    this.filePath = filePath;
+    this.env = env;
+    this.current = null;
+    this.watching = false;
+  }
+
+  /**
+   * Settings that may change while running
+   * @returns {string[]}
+   */
+  static get RELOADABLE() {
+    return Object.keys(SETTINGS).filter(key => SETTINGS[key].reload);
+  }
+
+  /**
+   * Allowed range of a numeric setting, for checks made outside this file
+   * @param {string} key - Setting name, e.g. 'pollInterval'
+   * @returns {Object} { min, max }
+   */
+  static range(key) {
+    const { min, max } = SETTINGS[key];
+    return { min, max };
+  }
+
+  /**
+   * The config file to use: CONFIG_FILE, or the first of config.yaml,
+   * config.yml and config.json found in a directory
+   * @param {string} directory - Where to look when CONFIG_FILE is not set
+   * @param {Object} env - Environment variables
+   * @returns {string|null} Path, or null when there is no config file
+   */
+  static find(directory, env = process.env) {
+    if (env.CONFIG_FILE) return path.resolve(env.CONFIG_FILE);
+
+    const name = CONFIG_FILE_NAMES.find(candidate => fs.existsSync(path.join(directory, candidate)));
+    return name ? path.join(directory, name) : null;
+  }
+
+  /**
+   * Read and check every setting
+   * @returns {Object} { settings, sources, instances, users, errors } where sources
+   *   names where each value came from and errors lists every problem found
+   */
+  load() {
+    const errors = [];
+    const file = this._readFile(errors);
+    const settings = {};
+    const sources = {};
+
+    for (const key of Object.keys(file)) {
+      if (!LIST_KEYS.includes(key) && !SETTINGS[key]) {
+        const suggestion = this._suggest(key);
+        errors.push(`${this._fileName()}: unknown setting "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      }
+    }
+
+    for (const [key, definition] of Object.entries(SETTINGS)) {
+      const envValue = this.env[definition.env];
+      let value = definition.default;
+      let source = 'default';
+
+      if (envValue !== undefined && envValue !== '') {
+        value = this._parse(envValue, definition, definition.env, errors);
+        source = `env ${definition.env}`;
+      } else if (file[key] !== undefined && file[key] !== null) {
+        value = this._parse(file[key], definition, `${this._fileName()}: ${key}`, errors);
+        source = this._fileName();
+      }
+
+      settings[key] = value;
+      sources[key] = source;
+    }
+
+    const lists = {};
+    for (const key of LIST_KEYS) {
+      if (file[key] !== undefined && !Array.isArray(file[key])) {
+        errors.push(`${this._fileName()}: "${key}" must be a list`);
+      }
+      lists[key] = Array.isArray(file[key]) ? file[key] : null;
+    }
+
+    const result = { settings, sources, ...lists, errors };
+
+    if (errors.length === 0) this.current = result;
+    return result;
+  }
+
+  /**
+   * Lines listing every setting with its value and where it came from
+   * @param {Object} loaded - Result of load()
+   * @returns {string[]}
+   */
+  describe({ settings, sources }) {
+    const width = Math.max(...Object.keys(SETTINGS).map(key => key.length));
+
+    return Object.entries(settings).map(([key, value]) => {
+      const shown = SETTINGS[key].secret && value ? '********' : JSON.stringify(value);
+      const reload = SETTINGS[key].reload ? ' ↻' : '';
+      return `${key.padEnd(width)}  ${shown}  (${sources[key]})${reload}`;
+    });
+  }
+
+  /**
+   * Reload the file whenever it changes
+   * Only settings marked reload are passed on; invalid files and changes
+   * that need a restart are reported and otherwise ignored. Reloadable
+   * settings are compared with the running values, so a save also undoes
+   * changes made while running (e.g. from the Maintenance panel)
+   * @param {Function} onChange - Called with { key: value } of the changed reloadable settings
+   * @param {Function} getRunning - Returns the settings in use, defaults to the last loaded ones
+   */
+  watch(onChange, getRunning = () => this.current.settings) {
+    if (!this.filePath || this.watching) return;
+    this.watching = true;
+
+    // Polling the file also catches editors that save by replacing it
+    fs.watchFile(this.filePath, { interval: 2000 }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+
+      const before = this.current;
+      const running = getRunning();
+      const loaded = this.load();
+
+      if (loaded.errors.length > 0) {
+        console.error(`❌ Ignoring changes to ${this.filePath}, keeping the running configuration:`);
+        loaded.errors.forEach(error => console.error(`   - ${error}`));
+        return;
+      }
+
+      const changes = {};
+      const needRestart = [];
+
+      for (const key of Object.keys(SETTINGS)) {
+        if (SETTINGS[key].reload) {
+          if (loaded.settings[key] !== running[key]) changes[key] = loaded.settings[key];
+        } else if (loaded.settings[key] !== before.settings[key]) {
+          needRestart.push(key);
+        }
+      }
+
+      for (const key of LIST_KEYS) {
+        if (JSON.stringify(loaded[key]) !== JSON.stringify(before[key])) {
+          needRestart.push(key);
+        }
+      }
+
+      if (needRestart.length > 0) {
+        console.warn(`⚠️  ${needRestart.join(', ')} changed in ${this._fileName()}, restart to apply`);
+      }
+      if (Object.keys(changes).length > 0) {
+        console.log(`🔁 Reloaded ${this._fileName()}: ${Object.entries(changes).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(', ')}`);
+        onChange(changes);
+      }
+    });
+  }
+
+  /**
+   * Stop watching the file
+   */
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  /**
+   * @private
+   */
+  _readFile(errors) {
+    if (!this.filePath) return {};
+
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      errors.push(`Cannot read config file ${this.filePath}: ${error.message}`);
+      return {};
+    }
+
+    try {
+      const parsed = this.filePath.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+      if (parsed === null || parsed === undefined) return {};
+      if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        errors.push(`${this._fileName()}: expected a mapping of setting names to values`);
+        return {};
+      }
+      return parsed;
+    } catch (error) {
+      errors.push(`${this._fileName()} is not valid ${this.filePath.endsWith('.json') ? 'JSON' : 'YAML'}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Convert a value from the environment (always a string) or the file
+   * @private
+   */
+  _parse(raw, definition, label, errors) {
+    const fail = expected => {
+      errors.push(`${label} must be ${expected}, got ${JSON.stringify(raw)}`);
+      return definition.default;
+    };
+
+    if (definition.type === 'boolean') {
+      if (typeof raw === 'boolean') return raw;
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) return true;
+      if (['false', '0', 'no', 'off'].includes(text)) return false;
+      return fail('true or false');
+    }
+
+    if (definition.type === 'integer' || definition.type === 'number') {
+      const pattern = definition.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+      const value = typeof raw === 'number' ? raw : pattern.test(String(raw).trim()) ? Number(raw) : NaN;
+      const range = `from ${definition.min} to ${definition.max}`;
+
+      if (!Number.isFinite(value) || (definition.type === 'integer' && !Number.isInteger(value))) {
+        return fail(`${definition.type === 'integer' ? 'a whole number' : 'a number'} ${range}`);
+      }
+      if (value < definition.min || value > definition.max) {
+        return fail(`${range}`);
+      }
+      return value;
+    }
+
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+      return fail('a string');
+    }
+    if (definition.values && !definition.values.includes(String(raw))) {
+      return fail(`one of ${definition.values.join(', ')}`);
+    }
+    return String(raw);
+  }
+
+  /**
+   * Closest known setting name to a misspelled one
+   * @private
+   */
+  _suggest(key) {
+    let best = null;
+    let bestDistance = 3;
+
+    for (const candidate of Object.keys(SETTINGS)) {
+      const distance = this._distance(key.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Levenshtein distance
+   * @private
+   */
+  _distance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * @private
+   */
+  _fileName() {
+    return this.filePath ? path.basename(this.filePath) : 'config file';
+  }
+}
+
+export default ConfigFile;
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'admin'];
+const COOKIE_NAME = 'dnsviz_session';
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+
+/**
+ * Dashboard Auth
+ * Optional sign-in for the dashboard. Users are configured with a role and
+ * a scrypt password hash (see hashPassword()); a shared token signs in as a
+ * viewer and ADMIN_TOKEN as an admin. Sessions live in an HMAC-signed cookie,
+ * so nothing is stored on the server: each request is checked against the
+ * current user list, which ends the sessions of removed users.
+ *
+ * Viewers can watch everything but not change anything, admins can also
+ * use the admin actions.
+ */
+class DashboardAuth {
+  constructor(options = {}) {
+    this.users = new Map();
+    (options.users || []).forEach((user, index) => this._addUser(user, index));
+
+    this.token = options.token || '';
+    this.adminToken = options.adminToken || '';
+    this.maxAge = (options.sessionHours || 12) * 60 * 60 * 1000;
+
+    // Without a configured secret sessions end when the server restarts
+    this.persistentSecret = Boolean(options.secret);
+    this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Hash a password for the user list
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} "scrypt:<salt>:<hash>"
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(String(password), salt, KEY_LENGTH);
+    return `${HASH_PREFIX}:${salt}:${hash.toString('hex')}`;
+  }
+
+  /**
+   * Whether sign-in is required, i.e. users or a shared token are configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.users.size > 0 || Boolean(this.token);
+  }
+
+  /**
+   * Check credentials from the login form
+   * Leaving the username empty signs in with the shared token or ADMIN_TOKEN
+   * @param {string} username
+   * @param {string} password - Password, or the token when username is empty
+   * @returns {Promise<Object|null>} Session { user, role, expires }, or null
+   */
+  async login(username, password) {
+    if (typeof password !== 'string' || password === '') return null;
+
+    if (!username) {
+      const tokenSession = this._tokenSession(password);
+      return tokenSession ? { ...tokenSession, expires: Date.now() + this.maxAge } : null;
+    }
+
+    const user = this.users.get(String(username));
+    // Unknown users still cost a hash so response times don't reveal names
+    const [, salt, expected] = (user ? user.passwordHash : `${HASH_PREFIX}:${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`).split(':');
+    const actual = await scrypt(password, salt, KEY_LENGTH);
+
+    if (!user || !crypto.timingSafeEqual(actual, Buffer.from(expected, 'hex'))) {
+      return null;
+    }
+
+    return { user: user.name, role: user.role, expires: Date.now() + this.maxAge };
+  }
+
+  /**
+   * The session of a request, from its session cookie or an
+   * "Authorization: Bearer" header carrying the shared token or ADMIN_TOKEN
+   * @param {http.IncomingMessage} req
+   * @returns {Object|null} { user, role, expires, token } where token marks
+   *   a token sign-in and expires is null for a Bearer header
+   */
+  getSession(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      return this._tokenSession(header.slice(7));
+    }
+
+    const cookie = this._readCookie(req.headers.cookie);
+    return cookie ? this._verify(cookie) : null;
+  }
+
+  /**
+   * Set-Cookie header value starting a session
+   * @param {Object} session - Result of login()
+   * @param {boolean} secure - Only send the cookie over HTTPS
+   * @returns {string}
+   */
+  createCookie(session, secure) {
+    const payload = Buffer.from(JSON.stringify({ u: session.user, r: session.role, e: session.expires, t: session.token === true })).toString('base64url');
+    const value = `${payload}.${this._sign(payload)}`;
+    const maxAge = Math.max(0, Math.floor((session.expires - Date.now()) / 1000));
+    return `${COOKIE_NAME}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+  }
+
+  /**
+   * Set-Cookie header value ending the session
+   * @returns {string}
+   */
+  clearCookie() {
+    return `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+  }
+
+  /**
+   * @private
+   */
+  _addUser(user, index) {
+    const label = `User ${index + 1}`;
+
+    if (!user || typeof user !== 'object') {
+      throw new Error(`${label} must be an object with name, password and role`);
+    }
+    if (typeof user.name !== 'string' || !/^[\w.@-]{1,64}$/.test(user.name)) {
+      throw new Error(`${label} needs a name of up to 64 letters, digits, ".", "@", "_" or "-"`);
+    }
+    if (this.users.has(user.name)) {
+      throw new Error(`User "${user.name}" is listed twice`);
+    }
+    if (typeof user.password !== 'string' || !/^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/.test(user.password)) {
+      throw new Error(`User "${user.name}" needs a password hash from "npm run hash-password", not a plain password`);
+    }
+
+    const role = user.role === undefined ? 'viewer' : user.role;
+    if (!ROLES.includes(role)) {
+      throw new Error(`User "${user.name}" has role "${role}", expected ${ROLES.join(' or ')}`);
+    }
+
+    this.users.set(user.name, { name: user.name, role, passwordHash: user.password });
+  }
+
+  /**
+   * @private
+   */
+  _tokenSession(token) {
+    if (this.adminToken && this._safeEqual(token, this.adminToken)) {
+      return { user: 'admin', role: 'admin', expires: null, token: true };
+    }
+    if (this.token && this._safeEqual(token, this.token)) {
+      return { user: 'token', role: 'viewer', expires: null, token: true };
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _verify(value) {
+    const [payload, signature] = value.split('.');
+    if (!payload || !signature || !this._safeEqual(signature, this._sign(payload))) return null;
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+
+    if (!data || !Number.isFinite(data.e) || data.e <= Date.now()) return null;
+
+    // Token sessions last while their token is configured; users get the
+    // role they have now
+    if (data.t) {
+      const allowed = data.r === 'admin' ? this.adminToken : this.token;
+      return allowed ? { user: data.u, role: data.r, expires: data.e, token: true } : null;
+    }
+
+    const user = this.users.get(data.u);
+    return user ? { user: user.name, role: user.role, expires: data.e } : null;
+  }
+
+  /**
+   * @private
+   */
+  _readCookie(header) {
+    if (!header) return null;
+
+    for (const part of header.split(';')) {
+      const [name, ...rest] = part.trim().split('=');
+      if (name === COOKIE_NAME) return rest.join('=');
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Compare without leaking the length or position of a mismatch
+   * @private
+   */
+  _safeEqual(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+  }
+}
+
+export default DashboardAuth;
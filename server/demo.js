@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import MockAdGuardServer from './mock-adguard.js';
+
+/**
+ * Offline demo
+ * Starts the mock AdGuard Home and points the dashboard at it: the query log,
+ * GeoIP lookups and follow-up DNS lookups all stay on this machine.
+ *
+ * Usage: npm run demo
+ */
+
+dotenv.config();
+
+const mock = new MockAdGuardServer({
+  port: parseInt(process.env.DEMO_ADGUARD_PORT) || 0,
+  queriesPerSecond: parseFloat(process.env.DEMO_QUERIES_PER_SECOND) || 5,
+  authMode: process.env.DEMO_AUTH_MODE || 'both'
+});
+
+const url = await mock.start();
+
+// Override any real instance settings from .env, dotenv never replaces these.
+// ADGUARD_INSTANCES also wins over an instances list in a config file
+Object.assign(process.env, {
+  DNS_BACKEND: 'adguard',
+  ADGUARD_INSTANCES: JSON.stringify([{
+    id: 'default',
+    name: 'Demo AdGuard Home',
+    url,
+    username: mock.username,
+    password: mock.password,
+    authMode: 'auto'
+  }]),
+  LOOKUP_RESOLVER: `${url}/dns-query`,
+  GEOIP_API_URL: `${url}/geo/json`,
+  GEOIP_MAX_REQUESTS_PER_MINUTE: '1000',
+  GEOIP_MIN_REQUEST_DELAY: '10'
+});
+
+console.log('🧪 Demo mode: the dashboard is reading synthetic traffic, nothing leaves this machine');
+
+await import('./index.js');
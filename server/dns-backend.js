@@ -0,0 +1,335 @@
+import fetch from 'node-fetch';
+import DnsResolver from './dns-resolver.js';
+
+/**
+ * DNS Backend
+ * Base class for the DNS servers the dashboard reads query logs from.
+ * Implementations translate their API into the normalized shapes below, so
+ * polling and enrichment in the server work the same for every backend.
+ *
+ * Normalized query log entry:
+ *   timestamp        Date the query was received
+ *   client           Client IP address
+ *   clientName       Friendly client name, or '' when unknown
+ *   clientIds        Identifiers the DNS server knows the client by
+ *   clientTags       Client tags (AdGuard), or []
+ *   domain           Queried domain, lowercase without trailing dot
+ *   type             Record type (A, AAAA, HTTPS, ...)
+ *   status           Response code (NOERROR, NXDOMAIN, ...)
+ *   elapsed          Total processing time in ms, as a fixed-point string
+ *   answer           Up to 3 answered IP addresses
+ *   cname            CNAME target to resolve when the answer has no IPs
+ *   cnameChain       Aliases from the queried domain to the answering host, in order
+ *   upstream         Upstream server that answered, if any
+ *   cached           Served from cache
+ *   filtered         Blocked by the DNS server
+ *   reason           Backend-specific filtering reason
+ *   protocol         Client transport: plain, doh, dot, doq or dnscrypt
+ *   ecs              EDNS Client Subnet sent with the query, or null
+ *   dnssec           The answer was DNSSEC-validated
+ *   needsResolution  The backend does not log answers, resolve the domain instead
+ *
+ * Normalized stats:
+ *   numDnsQueries, numBlockedFiltering, avgProcessingTime (seconds),
+ *   topQueriedDomains, topBlockedDomains, topClients ([{ name: count }]),
+ *   topUpstreamsResponses ([{ upstream: count }]),
+ *   topUpstreamsAvgTime ([{ upstream: seconds }])
+ */
+class DnsBackend {
+  constructor(url, options = {}) {
+    this.baseUrl = url.replace(/\/$/, ''); // Remove trailing slash
+    this.timeout = options.timeout || 10000; // 10 second default timeout
+    this.maxRetries = options.maxRetries || 3;
+    this.retryDelay = options.retryDelay || 1000;
+    this.initialLookback = options.initialLookback ?? 2000;
+    this.backendName = 'DNS backend';
+    this.resolver = options.resolver || new DnsResolver();
+    this.supportsRuleEditing = false;
+    this.supportsQueryLogSearch = false;
+    this.duplicateEntries = 0; // Entries matching one already delivered at the cursor, skipped
+  }
+
+  /**
+   * Fetch every query logged since the previous call, oldest first
+   * The first call only returns the last few seconds
+   * @returns {Promise<Array>} Normalized query log entries
+   */
+  async getNewQueryLogs() {
+    throw new Error(`${this.constructor.name} does not implement getNewQueryLogs()`);
+  }
+
+  /**
+   * Fetch a single page of query logs, newest first
+   * @param {number} limit - Maximum number of entries to return
+   * @param {string|null} olderThan - Only return entries older than this RFC3339 time
+   * @returns {Promise<Array>} Normalized query log entries
+   */
+  async getQueryLog(limit = 50, olderThan = null) {
+    throw new Error(`${this.constructor.name} does not implement getQueryLog()`);
+  }
+
+  /**
+   * Fetch server statistics
+   * @returns {Promise<Object>} Normalized statistics object
+   */
+  async getStats() {
+    throw new Error(`${this.constructor.name} does not implement getStats()`);
+  }
+
+  /**
+   * Test connection to the DNS server
+   * Rejects with code AUTH_FAILED when the server is reachable but refuses the credentials
+   * @returns {Promise<boolean>} false when the server cannot be reached
+   */
+  async testConnection() {
+    throw new Error(`${this.constructor.name} does not implement testConnection()`);
+  }
+
+  /**
+   * Block, allow or clear the custom filtering rule for a domain
+   * @param {string} domain - Sanitized domain name
+   * @param {string} action - 'block', 'allow' or 'clear'
+   * @returns {Promise<Object>} { changed, rule } where rule is the rule now in place, or null
+   */
+  async updateDomainRule(domain, action) {
+    throw this._notSupported('editing filtering rules');
+  }
+
+  /**
+   * Search the query log, newest first
+   * @param {Object} options - { search, responseStatus, limit, olderThan }
+   * @returns {Promise<Object>} { entries, oldest } where oldest is the olderThan value for the next page, or null
+   */
+  async searchQueryLog(options = {}) {
+    throw this._notSupported('query log search');
+  }
+
+  /**
+   * Fetch the queries logged in a past time window, newest first
+   * Available wherever searchQueryLog is
+   * @param {Object} options - { from, to, limit } with from/to as Dates
+   * @returns {Promise<Object>} { entries, truncated } where truncated means older entries in the window were left out
+   */
+  async getQueryLogRange(options = {}) {
+    throw this._notSupported('query log history');
+  }
+
+  /**
+   * End the login session, if the backend keeps one
+   * @returns {Promise<void>}
+   */
+  async logout() {}
+
+  /**
+   * Look a hostname up with the follow-up resolver, following its CNAME chain
+   * @param {string} hostname - Hostname to resolve
+   * @returns {Promise<Object>} { chain, ips } where chain lists the aliases in order
+   */
+  async resolveCnameChain(hostname) {
+    return this.resolver.resolve(hostname);
+  }
+
+  /**
+   * Validate IP address format
+   * @param {string} ip - IP address to validate
+   * @returns {boolean}
+   */
+  isValidIP(ip) {
+    if (!ip || typeof ip !== 'string') return false;
+
+    // Exclude special addresses
+    if (ip === '::' || ip === '0.0.0.0' || ip === '127.0.0.1' || ip === '::1') {
+      return false;
+    }
+
+    // IPv4 validation
+    const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
+    if (ipv4Regex.test(ip)) {
+      const parts = ip.split('.').map(Number);
+      return parts.every(part => part >= 0 && part <= 255);
+    }
+
+    // IPv6 validation (simplified)
+    const ipv6Regex = /^([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}$/;
+    return ipv6Regex.test(ip);
+  }
+
+  /**
+   * Sanitize IP address (remove port, validate format)
+   * @param {string} ip - IP address
+   * @returns {string} Sanitized IP
+   */
+  sanitizeIP(ip) {
+    if (!ip || typeof ip !== 'string') return 'unknown';
+
+    // Remove port if present (handle both IPv4:port and [IPv6]:port)
+    const match = ip.match(/^\[?([^\]]+)\]?(?::\d+)?$/);
+    return match ? match[1] : ip;
+  }
+
+  /**
+   * Sanitize domain name
+   * @param {string} domain - Domain name
+   * @returns {string} Sanitized domain
+   */
+  sanitizeDomain(domain) {
+    if (!domain || typeof domain !== 'string') return 'unknown';
+
+    // Remove trailing dot, convert to lowercase, and trim
+    return domain.replace(/\.$/, '').toLowerCase().trim();
+  }
+
+  /**
+   * Drop entries older than the initial lookback on the first fetch
+   * @protected
+   */
+  _applyInitialLookback(entries) {
+    const cutoff = Date.now() - this.initialLookback;
+    return entries.filter(entry => entry.timestamp.getTime() >= cutoff);
+  }
+
+  /**
+   * Fetch with timeout and abort controller
+   * @private
+   */
+  async _fetch(url, options = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          ...this._authHeaders(),
+          ...options.headers
+        },
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        const error = new Error(`${this.backendName} API error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return response;
+    } catch (error) {
+      clearTimeout(timeoutId);
+
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timeout after ${this.timeout}ms`);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch with retry logic
+   * Logs in again once on 401/403 when the backend uses sessions
+   * @private
+   */
+  async _fetchWithRetry(url, options = {}, retryCount = 0, reauthenticated = false) {
+    let session = null;
+
+    try {
+      await this._ensureSession();
+      session = this._sessionId();
+      const response = await this._fetch(url, options);
+      // Some write endpoints answer with an empty or plain text body
+      const contentType = response.headers.get('content-type') || '';
+      return contentType.includes('json') ? await response.json() : await response.text();
+    } catch (error) {
+      if (error.code === 'AUTH_FAILED') {
+        throw error;
+      }
+
+      if (error.status === 401 || error.status === 403) {
+        // The session may have expired: log in again once before giving up
+        if (!reauthenticated && this._usesSession()) {
+          console.warn(`🔑 ${this.backendName} returned ${error.status} for ${url}, logging in again`);
+          // Another request may already have replaced the expired session
+          if (this._sessionId() === session) this._clearSession();
+          return this._fetchWithRetry(url, options, retryCount, true);
+        }
+        throw this._authError(`${this.backendName} rejected the credentials (HTTP ${error.status})`);
+      }
+
+      if (retryCount < this.maxRetries) {
+        console.warn(`Retry ${retryCount + 1}/${this.maxRetries} for ${url}: ${error.message}`);
+        await this._delay(this.retryDelay * (retryCount + 1)); // Exponential backoff
+        return this._fetchWithRetry(url, options, retryCount + 1, reauthenticated);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Establish a login session if the backend needs one
+   * @protected
+   */
+  async _ensureSession() {}
+
+  /**
+   * Forget the current login session
+   * @protected
+   */
+  _clearSession() {}
+
+  /**
+   * Identifies the current login session, null without one
+   * @protected
+   */
+  _sessionId() {
+    return null;
+  }
+
+  /**
+   * Whether requests authenticate with a login session
+   * @protected
+   */
+  _usesSession() {
+    return false;
+  }
+
+  /**
+   * Authentication headers sent with every request
+   * @protected
+   */
+  _authHeaders() {
+    return {};
+  }
+
+  /**
+   * Build an error for rejected credentials, which must not be retried
+   * @private
+   */
+  _authError(message) {
+    const error = new Error(message);
+    error.code = 'AUTH_FAILED';
+    return error;
+  }
+
+  /**
+   * Build an error for a feature this backend does not offer
+   * @private
+   */
+  _notSupported(feature) {
+    const error = new Error(`${this.backendName} does not support ${feature}`);
+    error.code = 'NOT_SUPPORTED';
+    return error;
+  }
+
+  /**
+   * Delay helper for retries
+   * @private
+   */
+  _delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export default DnsBackend;
@@ -0,0 +1,394 @@
+import fetch from 'node-fetch';
+import dgram from 'dgram';
+import dns from 'dns/promises';
+import net from 'net';
+
+const TYPE_A = 1;
+const TYPE_CNAME = 5;
+const TYPE_AAAA = 28;
+const CLASS_IN = 1;
+
+/**
+ * DNS Resolver
+ * Follow-up lookups for queries whose log entry has no IPs (CNAME-only
+ * answers, HTTPS records, Pi-hole). Pointing it at the DNS server itself
+ * makes the IPs match what clients got, including its filtering.
+ *
+ * Targets:
+ *   system                        Node's resolver (the host's /etc/resolv.conf)
+ *   dns://192.168.1.2:53          Plain DNS over UDP
+ *   https://adguard/dns-query     DNS-over-HTTPS (RFC 8484)
+ *
+ * Answers are cached for their TTL.
+ */
+class DnsResolver {
+  constructor(target = 'system', options = {}) {
+    const parsed = DnsResolver.parseTarget(target);
+    if (!parsed) {
+      throw new Error(`Invalid lookup resolver "${target}", expected system, dns://host[:port] or https://.../dns-query`);
+    }
+
+    this.target = parsed;
+    this.timeout = options.timeout || 3000;
+    this.maxDepth = options.maxDepth || 8;
+    this.minTtl = options.minTtl ?? 5;
+    this.maxTtl = options.maxTtl ?? 3600;
+    this.negativeTtl = options.negativeTtl ?? 30;
+    this.maxCacheSize = options.maxCacheSize || 1000;
+
+    this.cache = new Map();
+    this.pendingRequests = new Map();
+    this.nextId = Math.floor(Math.random() * 0xffff);
+  }
+
+  /**
+   * Parse a resolver target string
+   * @param {string} target - system, dns://host[:port] or an https:// URL
+   * @returns {Object|null} { type, host, port, url } or null when invalid
+   */
+  static parseTarget(target) {
+    const value = String(target || 'system').trim();
+    if (value === 'system') return { type: 'system', label: 'system' };
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return null;
+    }
+
+    if (url.protocol === 'https:' || url.protocol === 'http:') {
+      return { type: 'doh', url: url.toString(), label: url.toString() };
+    }
+
+    if (url.protocol === 'dns:' && url.hostname) {
+      const host = url.hostname.replace(/^\[|\]$/g, '');
+      const port = parseInt(url.port) || 53;
+      return { type: 'dns', host, port, label: `dns://${url.host}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a hostname, following its CNAME chain
+   * @param {string} hostname - Hostname to resolve
+   * @returns {Promise<Object>} { chain, ips } where chain lists the aliases in order
+   */
+  async resolve(hostname) {
+    if (!hostname || typeof hostname !== 'string') return { chain: [], ips: [] };
+
+    const cached = this.cache.get(hostname);
+    if (cached && cached.expires > Date.now()) {
+      return cached.result;
+    }
+
+    if (this.pendingRequests.has(hostname)) {
+      return this.pendingRequests.get(hostname);
+    }
+
+    const lookupPromise = (async () => {
+      try {
+        const { ttl, rcode, ...result } = await this._lookup(hostname);
+        this._addToCache(hostname, result, result.ips.length > 0 ? ttl : this.negativeTtl);
+        if (result.ips.length === 0) {
+          console.log(`📋 Lookup via ${this.target.label} found no addresses for ${hostname}`);
+        }
+        return result;
+      } catch (error) {
+        console.log(`📋 Lookup via ${this.target.label} failed for ${hostname}: ${error.code || error.message}`);
+        const result = { chain: [], ips: [] };
+        this._addToCache(hostname, result, this.negativeTtl);
+        return result;
+      } finally {
+        this.pendingRequests.delete(hostname);
+      }
+    })();
+
+    this.pendingRequests.set(hostname, lookupPromise);
+    return lookupPromise;
+  }
+
+  /**
+   * Forget every cached answer
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Look a hostname up with the configured resolver, A first, then AAAA
+   * @private
+   */
+  async _lookup(hostname) {
+    if (this.target.type === 'system') {
+      return this._systemLookup(hostname);
+    }
+
+    const answerA = await this._query(hostname, TYPE_A);
+    if (answerA.ips.length > 0 || answerA.rcode !== 0) {
+      return answerA;
+    }
+
+    const answerAAAA = await this._query(hostname, TYPE_AAAA);
+    return answerAAAA.ips.length > 0 ? answerAAAA : answerA;
+  }
+
+  /**
+   * Send one query over UDP or DoH and read the chain, IPs and TTL from the answer
+   * @private
+   */
+  async _query(hostname, type) {
+    const id = this.nextId = (this.nextId + 1) & 0xffff;
+    const query = this._encodeQuery(id, hostname, type);
+    const response = this.target.type === 'doh'
+      ? await this._sendDoh(query)
+      : await this._sendUdp(query, id);
+
+    const message = this._decodeResponse(response);
+    const chain = [];
+    const ips = [];
+    let ttl = this.maxTtl;
+    let current = hostname.toLowerCase();
+
+    // Walk the answer records from the queried name to the addresses
+    for (let depth = 0; depth <= this.maxDepth; depth++) {
+      const records = message.answers.filter(record => record.name === current);
+      const alias = records.find(record => record.type === TYPE_CNAME);
+
+      records
+        .filter(record => record.type === type)
+        .forEach(record => {
+          ips.push(record.data);
+          ttl = Math.min(ttl, record.ttl);
+        });
+
+      if (ips.length > 0 || !alias || chain.includes(alias.data)) break;
+
+      chain.push(alias.data);
+      ttl = Math.min(ttl, alias.ttl);
+      current = alias.data;
+    }
+
+    return { chain, ips: ips.slice(0, 3), ttl, rcode: message.rcode };
+  }
+
+  /**
+   * Resolve through Node's resolver, following CNAMEs one at a time
+   * @private
+   */
+  async _systemLookup(hostname) {
+    const chain = [];
+    let current = hostname;
+
+    while (chain.length < this.maxDepth) {
+      let targets;
+      try {
+        targets = await dns.resolveCname(current);
+      } catch (err) {
+        break; // Not an alias (ENODATA) or lookup failed, resolve what we have
+      }
+
+      const target = String(targets[0] || '').replace(/\.$/, '').toLowerCase();
+      if (!target || target === hostname || chain.includes(target)) break;
+
+      chain.push(target);
+      current = target;
+    }
+
+    let records;
+    try {
+      records = await dns.resolve4(current, { ttl: true });
+    } catch (err) {
+      records = await dns.resolve6(current, { ttl: true });
+    }
+
+    return {
+      chain,
+      ips: records.slice(0, 3).map(record => record.address),
+      ttl: Math.min(...records.map(record => record.ttl), this.maxTtl)
+    };
+  }
+
+  /**
+   * Send a query to the DoH endpoint
+   * @private
+   */
+  async _sendDoh(query) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.target.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/dns-message',
+          'Accept': 'application/dns-message'
+        },
+        body: query,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`DoH error: ${response.status} ${response.statusText}`);
+      }
+
+      return Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`DoH request timeout after ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Send a query over UDP and wait for the reply with the same id
+   * @private
+   */
+  _sendUdp(query, id) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(net.isIPv6(this.target.host) ? 'udp6' : 'udp4');
+
+      const finish = (error, message) => {
+        clearTimeout(timeoutId);
+        socket.close();
+        if (error) reject(error);
+        else resolve(message);
+      };
+
+      const timeoutId = setTimeout(() => {
+        finish(new Error(`DNS query timeout after ${this.timeout}ms`));
+      }, this.timeout);
+
+      socket.on('message', message => {
+        if (message.length >= 2 && message.readUInt16BE(0) === id) finish(null, message);
+      });
+      socket.on('error', error => finish(error));
+
+      socket.send(query, this.target.port, this.target.host, error => {
+        if (error) finish(error);
+      });
+    });
+  }
+
+  /**
+   * Build a DNS query message with recursion desired
+   * @private
+   */
+  _encodeQuery(id, hostname, type) {
+    const labels = hostname.replace(/\.$/, '').split('.').map(label => Buffer.from(label, 'utf8'));
+    if (labels.some(label => label.length === 0 || label.length > 63)) {
+      throw new Error(`Invalid hostname ${hostname}`);
+    }
+
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(0x0100, 2); // RD
+    header.writeUInt16BE(1, 4); // QDCOUNT
+
+    const question = Buffer.alloc(4);
+    question.writeUInt16BE(type, 0);
+    question.writeUInt16BE(CLASS_IN, 2);
+
+    return Buffer.concat([
+      header,
+      ...labels.flatMap(label => [Buffer.from([label.length]), label]),
+      Buffer.from([0]),
+      question
+    ]);
+  }
+
+  /**
+   * Read the response code and A, AAAA and CNAME answer records
+   * @private
+   */
+  _decodeResponse(message) {
+    if (message.length < 12) throw new Error('DNS response too short');
+
+    const rcode = message.readUInt16BE(2) & 0x0f;
+    const questionCount = message.readUInt16BE(4);
+    const answerCount = message.readUInt16BE(6);
+    let offset = 12;
+
+    for (let i = 0; i < questionCount; i++) {
+      offset = this._readName(message, offset).offset + 4;
+    }
+
+    const answers = [];
+    for (let i = 0; i < answerCount; i++) {
+      const owner = this._readName(message, offset);
+      offset = owner.offset;
+
+      const type = message.readUInt16BE(offset);
+      const ttl = message.readUInt32BE(offset + 4);
+      const length = message.readUInt16BE(offset + 8);
+      const dataOffset = offset + 10;
+      offset = dataOffset + length;
+
+      let data = null;
+      if (type === TYPE_A && length === 4) {
+        data = Array.from(message.subarray(dataOffset, dataOffset + 4)).join('.');
+      } else if (type === TYPE_AAAA && length === 16) {
+        const groups = [];
+        for (let j = 0; j < 16; j += 2) groups.push(message.readUInt16BE(dataOffset + j).toString(16));
+        // Let URL produce the canonical compressed form
+        data = new URL(`http://[${groups.join(':')}]`).hostname.slice(1, -1);
+      } else if (type === TYPE_CNAME) {
+        data = this._readName(message, dataOffset).name;
+      }
+
+      if (data) answers.push({ name: owner.name, type, ttl, data });
+    }
+
+    return { rcode, answers };
+  }
+
+  /**
+   * Read a possibly compressed domain name
+   * @private
+   */
+  _readName(message, offset) {
+    const labels = [];
+    let position = offset;
+    let end = null;
+
+    for (let steps = 0; steps < 255; steps++) {
+      const length = message[position];
+      if (length === undefined) throw new Error('Malformed DNS name');
+
+      if (length === 0) {
+        return { name: labels.join('.').toLowerCase(), offset: end ?? position + 1 };
+      }
+
+      if ((length & 0xc0) === 0xc0) {
+        if (end === null) end = position + 2;
+        position = ((length & 0x3f) << 8) | message[position + 1];
+        continue;
+      }
+
+      labels.push(message.toString('utf8', position + 1, position + 1 + length));
+      position += length + 1;
+    }
+
+    throw new Error('Malformed DNS name');
+  }
+
+  /**
+   * Cache an answer for its TTL, clamped to the configured bounds
+   * @private
+   */
+  _addToCache(hostname, result, ttl) {
+    if (this.cache.size >= this.maxCacheSize) {
+      const firstKey = this.cache.keys().next().value;
+      this.cache.delete(firstKey);
+    }
+
+    const seconds = Math.min(Math.max(ttl, this.minTtl), this.maxTtl);
+    this.cache.set(hostname, { result, expires: Date.now() + seconds * 1000 });
+  }
+}
+
+export default DnsResolver;
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+
+/**
+ * Event Buffer
+ * Ring buffer of the most recent live dns_query messages and the latest
+ * stats message of each instance, so a dashboard that connects or
+ * reconnects can be brought up to date at once.
+ *
+ * Every buffered query gets an increasing id. Ids are only meaningful
+ * within one streamId, which changes whenever the server restarts, so a
+ * client resuming with an id from before a restart gets a full snapshot.
+ */
+class EventBuffer {
+  constructor(capacity = 500) {
+    this.capacity = capacity;
+    this.streamId = crypto.randomBytes(8).toString('hex');
+    this.events = [];
+    this.start = 0;
+    this.lastId = 0;
+    this.stats = new Map();
+  }
+
+  /**
+   * Keep a live message; dns_query messages are returned with their id
+   * @param {Object} message - dns_query or stats message
+   * @returns {Object} The message to broadcast
+   */
+  add(message) {
+    if (message.type === 'stats') {
+      this.stats.set(message.instance || 'default', message);
+      return message;
+    }
+
+    const event = { ...message, id: ++this.lastId };
+    if (this.capacity === 0) return event;
+
+    if (this.events.length < this.capacity) {
+      this.events.push(event);
+    } else {
+      this.events[this.start] = event;
+      this.start = (this.start + 1) % this.capacity;
+    }
+    return event;
+  }
+
+  /**
+   * Buffered queries and the latest stats
+   * @param {Object} resume - Optional { streamId, lastEventId } from a reconnecting client
+   * @returns {Object} { streamId, lastEventId, resumed, events, stats } where
+   *   resumed is true when events only holds what came after lastEventId
+   */
+  getSnapshot(resume = null) {
+    const events = [...this.events.slice(this.start), ...this.events.slice(0, this.start)];
+    const oldestId = events.length > 0 ? events[0].id : this.lastId + 1;
+
+    // Resuming works while nothing between lastEventId and the oldest
+    // buffered query has been dropped from the buffer
+    const resumed = Boolean(resume) &&
+      resume.streamId === this.streamId &&
+      Number.isInteger(resume.lastEventId) &&
+      resume.lastEventId <= this.lastId &&
+      resume.lastEventId >= oldestId - 1;
+
+    return {
+      streamId: this.streamId,
+      lastEventId: this.lastId,
+      resumed,
+      events: resumed ? events.filter(event => event.id > resume.lastEventId) : events,
+      stats: [...this.stats.values()]
+    };
+  }
+}
+
+export default EventBuffer;
@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const RECORDING_NAME = /^events-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.ndjson$/;
+
+/**
+ * Event Recorder
+ * Appends broadcast messages to NDJSON files so an incident can be played
+ * back later. Each line is { recordedAt, message } where recordedAt is the
+ * broadcast time in ms. A new file is started when the current one reaches
+ * maxFileBytes, and the oldest files are deleted beyond maxFiles.
+ */
+class EventRecorder {
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.maxFileBytes = options.maxFileBytes || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || 20;
+
+    this.currentName = null;
+    this.currentSize = 0;
+    this.writeQueue = Promise.resolve();
+    this.failed = false;
+  }
+
+  /**
+   * Check whether a name refers to a recording file
+   * @param {string} name - File name without directory
+   * @returns {boolean}
+   */
+  static isRecordingName(name) {
+    return typeof name === 'string' && RECORDING_NAME.test(name);
+  }
+
+  /**
+   * Queue a message for writing; never throws
+   * @param {Object} message - Message as broadcast to clients
+   */
+  record(message) {
+    const line = JSON.stringify({ recordedAt: Date.now(), message }) + '\n';
+
+    // Writes are chained so lines never interleave and rotation happens in order
+    this.writeQueue = this.writeQueue.then(() => this._write(line)).catch(error => {
+      if (!this.failed) {
+        console.error(`❌ Failed to write recording in ${this.directory}:`, error.message);
+      }
+      this.failed = true;
+    });
+  }
+
+  /**
+   * List the recordings on disk
+   * @returns {Promise<Array>} [{ name, size, modified }], newest first
+   */
+  async list() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const recordings = await Promise.all(names
+      .filter(name => EventRecorder.isRecordingName(name))
+      .map(async name => {
+        const stat = await fs.stat(path.join(this.directory, name));
+        return { name, size: stat.size, modified: stat.mtime.toISOString() };
+      }));
+
+    // Names sort by their start time
+    return recordings.sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  /**
+   * Full path of a recording
+   * @param {string} name - Recording name from list()
+   * @returns {string|null} Path, or null when the name is not a recording
+   */
+  resolvePath(name) {
+    return EventRecorder.isRecordingName(name) ? path.join(this.directory, name) : null;
+  }
+
+  /**
+   * Wait for queued writes to reach the disk
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeQueue;
+  }
+
+  /**
+   * @private
+   */
+  async _write(line) {
+    const size = Buffer.byteLength(line);
+
+    if (!this.currentName || this.currentSize + size > this.maxFileBytes) {
+      await this._rotate();
+    }
+
+    await fs.appendFile(path.join(this.directory, this.currentName), line, 'utf8');
+    this.currentSize += size;
+    this.failed = false;
+  }
+
+  /**
+   * Start a new file and delete the oldest ones beyond maxFiles
+   * @private
+   */
+  async _rotate() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    this.currentName = `events-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`;
+    this.currentSize = 0;
+    console.log(`🎙️  Recording events to ${path.join(this.directory, this.currentName)}`);
+
+    const recordings = await this.list();
+    const expired = recordings.filter(recording => recording.name !== this.currentName).slice(this.maxFiles - 1);
+
+    for (const recording of expired) {
+      await fs.unlink(path.join(this.directory, recording.name));
+      console.log(`🗑️  Deleted old recording ${recording.name}`);
+    }
+  }
+}
+
+export default EventRecorder;
@@ -0,0 +1,326 @@
+import fs from 'fs/promises';
+
+const REPLAY_SPEEDS = [1, 10, 60];
+
+/**
+ * Event Replayer
+ * Plays a recording from EventRecorder back through the broadcast function,
+ * keeping the original spacing between messages scaled by the speed. The
+ * replay ends by itself after the last message.
+ * Positions are milliseconds from the first recorded message.
+ */
+class EventReplayer {
+  constructor(broadcast, options = {}) {
+    this.broadcast = broadcast;
+    this.onStateChange = options.onStateChange || (() => {});
+    this.progressInterval = options.progressInterval || 1000;
+
+    this.name = null;
+    this.events = [];
+    this.index = 0;
+    this.speed = 1;
+    this.paused = false;
+    this.position = 0; // Position when playback last (re)started or paused
+    this.anchorTime = 0; // Wall clock time matching this.position
+    this.timer = null;
+    this.progressTimer = null;
+  }
+
+  /**
+   * Speeds a replay can run at
+   */
+  static get SPEEDS() {
+    return REPLAY_SPEEDS;
+  }
+
+  /**
+   * Whether a recording is loaded (playing or paused)
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.name !== null;
+  }
+
+  /**
+   * Load a recording and start playing it from the beginning
+   * @param {string} filePath - Recording file
+   * @param {string} name - Name shown to clients
+   * @param {number} speed - One of SPEEDS
+   * @returns {Promise<Object>} Replay state
+   */
+  async start(filePath, name, speed = 1) {
+    const events = await this._load(filePath);
+    if (events.length === 0) {
+      const error = new Error(`Recording ${name} has no events`);
+      error.code = 'EMPTY_RECORDING';
+      throw error;
+    }
+
+    this._clearTimers();
+    this.name = name;
+    this.events = events;
+    this.speed = this._validSpeed(speed);
+    this.paused = false;
+    this._moveTo(0);
+
+    console.log(`⏯️  Replaying ${name} (${events.length} events, ${this._formatDuration(this.getDuration())}) at ${this.speed}x`);
+    this._startProgress();
+    this._scheduleNext();
+    this._notify();
+    return this.getState();
+  }
+
+  /**
+   * Pause playback, keeping the position
+   */
+  pause() {
+    if (!this.isActive() || this.paused) return;
+
+    this.position = this.getPosition();
+    this.paused = true;
+    this._clearTimers();
+    this._notify();
+  }
+
+  /**
+   * Continue a paused replay
+   */
+  resume() {
+    if (!this.isActive() || !this.paused) return;
+
+    this.paused = false;
+    this.anchorTime = Date.now();
+    this._startProgress();
+    this._scheduleNext();
+    this._notify();
+  }
+
+  /**
+   * Jump to a position in the recording
+   * The latest stats before the position are sent again so totals match it
+   * @param {number} position - Milliseconds from the start of the recording
+   */
+  seek(position) {
+    if (!this.isActive()) return;
+
+    const target = Math.min(Math.max(Number(position) || 0, 0), this.getDuration());
+    this._clearTimers();
+    this._moveTo(target);
+    this._replayLatestStats(target);
+
+    if (!this.paused) {
+      this._startProgress();
+      this._scheduleNext();
+    }
+    this._notify();
+  }
+
+  /**
+   * Change the playback speed
+   * @param {number} speed - One of SPEEDS
+   */
+  setSpeed(speed) {
+    if (!this.isActive()) return;
+
+    this.position = this.getPosition();
+    this.anchorTime = Date.now();
+    this.speed = this._validSpeed(speed);
+
+    if (!this.paused) {
+      this._clearTimers();
+      this._startProgress();
+      this._scheduleNext();
+    }
+    this._notify();
+  }
+
+  /**
+   * Stop the replay and unload the recording
+   */
+  stop() {
+    if (!this.isActive()) return;
+
+    console.log(`⏹️  Replay of ${this.name} stopped`);
+    this._unload();
+    this._notify();
+  }
+
+  /**
+   * Current position in the recording
+   * @returns {number} Milliseconds from the start
+   */
+  getPosition() {
+    if (!this.isActive()) return 0;
+    if (this.paused) return this.position;
+
+    const position = this.position + (Date.now() - this.anchorTime) * this.speed;
+    return Math.min(position, this.getDuration());
+  }
+
+  /**
+   * Length of the loaded recording
+   * @returns {number} Milliseconds between the first and last message
+   */
+  getDuration() {
+    if (this.events.length === 0) return 0;
+    return this.events[this.events.length - 1].recordedAt - this.events[0].recordedAt;
+  }
+
+  /**
+   * Replay state as sent to clients
+   * @returns {Object}
+   */
+  getState() {
+    if (!this.isActive()) {
+      return { active: false };
+    }
+
+    return {
+      active: true,
+      recording: this.name,
+      paused: this.paused,
+      speed: this.speed,
+      position: Math.round(this.getPosition()),
+      duration: this.getDuration(),
+      startedAt: new Date(this.events[0].recordedAt).toISOString(),
+      events: this.events.length
+    };
+  }
+
+  /**
+   * Read a recording, skipping lines that are not complete records
+   * @private
+   */
+  async _load(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const events = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        if (typeof record.recordedAt === 'number' && record.message && typeof record.message.type === 'string') {
+          events.push(record);
+        }
+      } catch (error) {
+        // Skip a partially written line
+      }
+    }
+
+    return events.sort((a, b) => a.recordedAt - b.recordedAt);
+  }
+
+  /**
+   * Set the position and the index of the next message to send
+   * @private
+   */
+  _moveTo(position) {
+    const start = this.events[0].recordedAt;
+    this.position = position;
+    this.anchorTime = Date.now();
+    this.index = this.events.findIndex(event => event.recordedAt - start >= position);
+    if (this.index === -1) this.index = this.events.length;
+  }
+
+  /**
+   * Send the most recent stats message of each instance up to a position
+   * @private
+   */
+  _replayLatestStats(position) {
+    const start = this.events[0].recordedAt;
+    const latest = new Map();
+
+    for (const event of this.events) {
+      if (event.recordedAt - start > position) break;
+      if (event.message.type === 'stats') latest.set(event.message.instance, event.message);
+    }
+
+    latest.forEach(message => this.broadcast(message));
+  }
+
+  /**
+   * Wait until the next message is due, then send everything due by then
+   * @private
+   */
+  _scheduleNext() {
+    // The end of the recording ends the replay so live traffic is shown again
+    if (this.index >= this.events.length) {
+      console.log(`⏹️  Replay of ${this.name} finished`);
+      this._unload();
+      this._notify();
+      return;
+    }
+
+    const start = this.events[0].recordedAt;
+    const due = this.events[this.index].recordedAt - start;
+    const delay = Math.max(0, (due - this.getPosition()) / this.speed);
+
+    this.timer = setTimeout(() => {
+      const position = this.getPosition();
+
+      while (this.index < this.events.length && this.events[this.index].recordedAt - start <= position) {
+        this.broadcast(this.events[this.index].message);
+        this.index++;
+      }
+
+      this._scheduleNext();
+    }, delay);
+  }
+
+  /**
+   * Forget the loaded recording
+   * @private
+   */
+  _unload() {
+    this._clearTimers();
+    this.name = null;
+    this.events = [];
+    this.index = 0;
+    this.position = 0;
+    this.paused = false;
+  }
+
+  /**
+   * Report the position regularly while playing
+   * @private
+   */
+  _startProgress() {
+    clearInterval(this.progressTimer);
+    this.progressTimer = setInterval(() => this._notify(), this.progressInterval);
+  }
+
+  /**
+   * @private
+   */
+  _clearTimers() {
+    clearTimeout(this.timer);
+    clearInterval(this.progressTimer);
+    this.timer = null;
+    this.progressTimer = null;
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    this.onStateChange(this.getState());
+  }
+
+  /**
+   * @private
+   */
+  _validSpeed(speed) {
+    const value = Number(speed);
+    return REPLAY_SPEEDS.includes(value) ? value : 1;
+  }
+
+  /**
+   * @private
+   */
+  _formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+  }
+}
+
+export default EventReplayer;
@@ -47,6 +47,16 @@ class GeoService {
     };
   }
 
+  // Change limits while running; options left undefined keep their value
+  configure(options = {}) {
+    const limits = ['apiTimeout', 'maxRetries', 'retryDelay', 'maxRequestsPerMinute', 'minRequestDelay'];
+    limits.forEach(name => {
+      if (options[name] !== undefined) {
+        this[name] = this.validatePositiveInteger(options[name], this[name]);
+      }
+    });
+  }
+
   async lookup(ip) {
     this.stats.totalLookups++;
 
@@ -128,6 +138,14 @@ class GeoService {
     return lookupPromise;
   }
 
+  // Cached location without calling the API: undefined when the IP was never
+  // looked up, null when it could not be located
+  getCached(ip) {
+    const sanitizedIp = this.isValidInput(ip) ? this.sanitizeIp(ip) : null;
+    if (!sanitizedIp || !this.cache.has(sanitizedIp)) return undefined;
+    return this.cache.get(sanitizedIp);
+  }
+
   async apiLookupWithRetry(ip, attempt = 1) {
     try {
       return await this.apiLookup(ip);
@@ -158,7 +176,7 @@ class GeoService {
     const timeoutId = setTimeout(() => controller.abort(), this.apiTimeout);
 
     try {
-      const fields = 'status,message,lat,lon,city,country';
+      const fields = 'status,message,lat,lon,city,country,as,org';
       const url = `${this.apiUrl}/${encodeURIComponent(ip)}?fields=${fields}`;
 
       const response = await fetch(url, {
@@ -192,7 +210,8 @@ class GeoService {
         lat: parseFloat(data.lat),
         lng: parseFloat(data.lon),
         city: this.sanitizeString(data.city) || 'Unknown',
-        country: this.sanitizeString(data.country) || 'Unknown'
+        country: this.sanitizeString(data.country) || 'Unknown',
+        ...this.parseNetwork(data.as, data.org)
       };
 
       console.log(`✅ GeoIP API success for ${ip}: ${result.city}, ${result.country} (${result.lat}, ${result.lng})`);
@@ -210,6 +229,16 @@ class GeoService {
     }
   }
 
+  // "AS15169 Google LLC" → { asn: 'AS15169', org: 'Google LLC' }, preferring
+  // the announced organization over the AS holder when both are given
+  parseNetwork(as, org) {
+    const match = typeof as === 'string' ? as.match(/^(AS\d+)\s*(.*)$/) : null;
+    return {
+      asn: match ? match[1] : null,
+      org: this.sanitizeString(org) || this.sanitizeString(match?.[2]) || null
+    };
+  }
+
   async checkRateLimit() {
     const now = Date.now();
 
@@ -0,0 +1,21 @@
+import readline from 'readline';
+import DashboardAuth from './dashboard-auth.js';
+
+/**
+ * Password hasher
+ * Prints the hash to put in a dashboard user's "password" field. The
+ * password is read from stdin so it doesn't end up in the shell history.
+ *
+ * Usage: npm run hash-password
+ */
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+const password = await new Promise(resolve => rl.question('Password: ', resolve));
+rl.close();
+
+if (!password) {
+  console.error('❌ No password given');
+  process.exit(1);
+}
+
+console.log(await DashboardAuth.hashPassword(password));
@@ -0,0 +1,294 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * History Store
+ * Keeps every processed query on disk so it can be looked up after the fact.
+ * Events are appended to one NDJSON file per UTC day, which doubles as the
+ * index: a time range only reads the days it overlaps. Days older than the
+ * retention limit are deleted.
+ *
+ * Stored event, one per query:
+ *   time, instance, domain, type, status, client, clientName, ips,
+ *   destinations ([{ ip, country, city, lat, lng, asn, org }], geo null when unknown),
+ *   blocked, elapsed (ms), upstream, cached, protocol
+ */
+class HistoryStore {
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.retentionDays = options.retentionDays || 7;
+    this.flushInterval = options.flushInterval || 1000;
+    this.cleanupInterval = options.cleanupInterval || 60 * 60 * 1000;
+
+    this.pending = [];
+    this.flushTimer = null;
+    this.cleanupTimer = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Delete expired days now and then every hour
+   */
+  start() {
+    this.cleanup();
+    this.cleanupTimer = setInterval(() => this.cleanup(), this.cleanupInterval);
+  }
+
+  /**
+   * Stop the cleanup timer and write what is buffered
+   * @returns {Promise<void>}
+   */
+  stop() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+    return this.flush();
+  }
+
+  /**
+   * Buffer an event; buffered events are written once per flush interval
+   * @param {Object} event - Event in the stored shape, time as an ISO string
+   */
+  add(event) {
+    this.pending.push(event);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+  }
+
+  /**
+   * Write buffered events
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const batch = this.pending;
+    this.pending = [];
+
+    if (batch.length > 0) {
+      this.writeQueue = this.writeQueue
+        .then(() => this._write(batch))
+        .catch(error => console.error(`❌ Failed to write query history in ${this.directory}:`, error.message));
+    }
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Find events, newest first
+   * @param {Object} filters - { from, to, client, domain, country, instance, blocked, limit, before }
+   *   from/to are epoch ms (to is exclusive); client matches an IP or part of
+   *   a client name; domain matches the domain and its subdomains; country
+   *   matches any destination; before is the cursor returned as next
+   * @returns {Promise<Object>} { entries, next } where next is the cursor for the following page, or null
+   */
+  async query(filters = {}) {
+    const limit = filters.limit || 100;
+    const matches = this._createMatcher(filters);
+    const cursor = this._parseCursor(filters.before);
+    const to = cursor ? Math.min(cursor.time + 1, filters.to ?? Infinity) : filters.to;
+    const cursorTime = cursor ? new Date(cursor.time).toISOString() : null;
+    let skip = cursor ? cursor.skip : 0;
+    const entries = [];
+
+    for (const day of (await this._days(filters.from, to)).reverse()) {
+      // Days are read oldest first but only their newest matches can still
+      // make the page, so keep a bounded tail instead of the whole day
+      const keep = limit + 1 - entries.length + skip;
+      const tail = [];
+      for await (const event of this._readDay(day, filters.from, to)) {
+        if (!matches(event)) continue;
+        tail.push(event);
+        if (tail.length >= keep * 2) tail.splice(0, tail.length - keep);
+      }
+
+      for (const event of tail.slice(-keep).reverse()) {
+        // Several events can share a millisecond, skip the ones already returned
+        if (skip > 0 && event.time === cursorTime) {
+          skip--;
+          continue;
+        }
+        entries.push(event);
+      }
+
+      if (entries.length > limit) break;
+    }
+
+    const page = entries.slice(0, limit);
+    return {
+      entries: page,
+      next: entries.length > limit ? this._createCursor(page, cursor) : null
+    };
+  }
+
+  /**
+   * Read every event in a time range, oldest first
+   * @param {number} from - Epoch ms, inclusive
+   * @param {number} to - Epoch ms, exclusive
+   */
+  async *scan(from, to) {
+    for (const day of await this._days(from, to)) {
+      yield* this._readDay(day, from, to);
+    }
+  }
+
+  /**
+   * Delete day files older than the retention limit
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    const cutoff = this._dayOf(Date.now() - this.retentionDays * DAY_MS);
+
+    try {
+      for (const day of await this._days()) {
+        if (day < cutoff) {
+          await fs.unlink(path.join(this.directory, `${day}.ndjson`));
+          console.log(`🗑️  Deleted query history for ${day} (older than ${this.retentionDays} days)`);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Query history cleanup failed:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _write(batch) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const byDay = new Map();
+    for (const event of batch) {
+      const day = event.time.slice(0, 10);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(JSON.stringify(event));
+    }
+
+    for (const [day, lines] of byDay) {
+      await fs.appendFile(path.join(this.directory, `${day}.ndjson`), lines.join('\n') + '\n', 'utf8');
+    }
+  }
+
+  /**
+   * Days with a file, oldest first, limited to a time range when given
+   * @private
+   */
+  async _days(from, to) {
+    await this.flush();
+
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const first = from !== undefined ? this._dayOf(from) : null;
+    const last = to !== undefined ? this._dayOf(to - 1) : null;
+
+    return names
+      .map(name => name.match(DAY_FILE)?.[1])
+      .filter(day => day && (!first || day >= first) && (!last || day <= last))
+      .sort();
+  }
+
+  /**
+   * Read one day's events within a time range, oldest first
+   * @private
+   */
+  async *_readDay(day, from, to) {
+    // ISO strings of the same format compare like the times they hold
+    const fromTime = from !== undefined ? new Date(from).toISOString() : null;
+    const toTime = to !== undefined ? new Date(to).toISOString() : null;
+
+    const stream = createReadStream(path.join(this.directory, `${day}.ndjson`), { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          continue; // Skip a partially written line
+        }
+
+        if (fromTime && event.time < fromTime) continue;
+        if (toTime && event.time >= toTime) continue;
+        yield event;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error; // Deleted by cleanup meanwhile
+    } finally {
+      lines.close();
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Build the filter for query()
+   * @private
+   */
+  _createMatcher({ client, domain, country, instance, blocked }) {
+    const clientValue = client ? client.toLowerCase() : null;
+    const domainValue = domain ? domain.toLowerCase() : null;
+    const countryValue = country ? country.toLowerCase() : null;
+
+    return event => {
+      if (instance && event.instance !== instance) return false;
+      if (blocked !== undefined && event.blocked !== blocked) return false;
+      if (countryValue && !event.destinations.some(destination => (destination.country || '').toLowerCase() === countryValue)) {
+        return false;
+      }
+      if (domainValue && event.domain !== domainValue && !event.domain.endsWith(`.${domainValue}`)) return false;
+      if (clientValue && event.client !== clientValue && !(event.clientName || '').toLowerCase().includes(clientValue)) {
+        return false;
+      }
+      return true;
+    };
+  }
+
+  /**
+   * Cursor pointing after the last event of a page: its time and how many
+   * events with that same time have been returned so far
+   * @private
+   */
+  _createCursor(page, previous) {
+    const lastTime = page[page.length - 1].time;
+    let skip = page.filter(event => event.time === lastTime).length;
+
+    // The whole page shared the previous cursor's millisecond
+    if (previous && new Date(previous.time).toISOString() === lastTime) {
+      skip += previous.skip;
+    }
+
+    return `${Date.parse(lastTime)}:${skip}`;
+  }
+
+  /**
+   * @private
+   */
+  _parseCursor(value) {
+    const match = typeof value === 'string' ? value.match(/^(\d+):(\d+)$/) : null;
+    return match ? { time: Number(match[1]), skip: Number(match[2]) } : null;
+  }
+
+  /**
+   * @private
+   */
+  _dayOf(time) {
+    return new Date(time).toISOString().slice(0, 10);
+  }
+}
+
+export default HistoryStore;
@@ -2,53 +2,337 @@ import express from 'express';
 import { WebSocketServer } from 'ws';
 import http from 'http';
 import path from 'path';
+import crypto from 'crypto';
+import net from 'net';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import AdGuardClient from './adguard-client.js';
+import PiholeClient from './pihole-client.js';
 import GeoService from './geo-service.js';
+import DnsResolver from './dns-resolver.js';
+import AuditLog from './audit-log.js';
+import EventRecorder from './event-recorder.js';
+import EventReplayer from './event-replayer.js';
+import HistoryStore from './history-store.js';
+import QueryRollups from './query-rollups.js';
+import Metrics from './metrics.js';
+import ConfigFile from './config-file.js';
+import DashboardAuth from './dashboard-auth.js';
+import SubscriptionFilter from './subscription-filter.js';
+import WebSocketBroadcaster from './websocket-broadcaster.js';
+import EventBuffer from './event-buffer.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const configFile = new ConfigFile(ConfigFile.find(path.join(__dirname, '..')));
+const loadedConfig = configFile.load();
+
+if (loadedConfig.errors.length > 0) {
+  console.error('❌ Invalid configuration:');
+  loadedConfig.errors.forEach(error => console.error(`   - ${error}`));
+  process.exit(1);
+}
+
 const config = {
-  port: parseInt(process.env.PORT) || 8080,
-  pollInterval: parseInt(process.env.POLL_INTERVAL_MS) || 2000,
-  statsInterval: parseInt(process.env.STATS_INTERVAL_MS) || 5000,
-  maxProcessedIds: parseInt(process.env.MAX_PROCESSED_IDS) || 1000,
-  maxConcurrentArcs: parseInt(process.env.MAX_CONCURRENT_ARCS) || 50,
-  sourceLat: parseFloat(process.env.SOURCE_LAT) || 3.139,
-  sourceLng: parseFloat(process.env.SOURCE_LNG) || 101.6869,
+  ...loadedConfig.settings,
   nodeEnv: process.env.NODE_ENV || 'development'
 };
 
-const requiredEnvVars = ['ADGUARD_URL', 'ADGUARD_USERNAME', 'ADGUARD_PASSWORD'];
-const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
+console.log(`⚙️  Configuration from ${configFile.filePath ? `${configFile.filePath} and ` : ''}the environment (↻ reloads while running):`);
+configFile.describe(loadedConfig).forEach(line => console.log(`   ${line}`));
 
-if (missingEnvVars.length > 0) {
-  console.error(`❌ Missing required environment variables: ${missingEnvVars.join(', ')}`);
-  console.error('Please create a .env file with the required variables.');
-  process.exit(1);
-}
-
-const adguardClient = new AdGuardClient(
-  process.env.ADGUARD_URL,
-  process.env.ADGUARD_USERNAME,
-  process.env.ADGUARD_PASSWORD
-);
+const instanceConfigs = loadInstanceConfigs();
 
 const geoService = new GeoService(config.sourceLat, config.sourceLng, {
-  apiUrl: process.env.GEOIP_API_URL,
-  apiTimeout: parseInt(process.env.GEOIP_API_TIMEOUT),
-  maxRetries: parseInt(process.env.GEOIP_MAX_RETRIES),
-  retryDelay: parseInt(process.env.GEOIP_RETRY_DELAY),
-  maxCacheSize: parseInt(process.env.GEOIP_MAX_CACHE_SIZE),
-  maxRequestsPerMinute: parseInt(process.env.GEOIP_MAX_REQUESTS_PER_MINUTE),
-  minRequestDelay: parseInt(process.env.GEOIP_MIN_REQUEST_DELAY)
+  apiUrl: config.geoApiUrl,
+  apiTimeout: config.geoApiTimeout,
+  maxRetries: config.geoMaxRetries,
+  retryDelay: config.geoRetryDelay,
+  maxCacheSize: config.geoMaxCacheSize,
+  maxRequestsPerMinute: config.geoMaxRequestsPerMinute,
+  minRequestDelay: config.geoMinRequestDelay
+});
+
+const auditLog = new AuditLog(config.auditLogFile);
+
+const dashboardAuth = createDashboardAuth();
+
+const recorder = new EventRecorder(config.recordingsDir, {
+  maxFileBytes: config.recordingMaxFileMb * 1024 * 1024,
+  maxFiles: config.recordingMaxFiles
+});
+
+const historyStore = new HistoryStore(config.historyDir, {
+  retentionDays: config.historyRetentionDays
+});
+
+const rollups = new QueryRollups();
+
+const eventBuffer = new EventBuffer(config.snapshotEvents);
+
+const replayer = new EventReplayer(message => broadcast(message), {
+  onStateChange: handleReplayStateChange
 });
+// Whether a replay is holding live queries back from the dashboards
+let liveHeldBack = false;
+
+const instances = instanceConfigs.map(instanceConfig => ({
+  id: instanceConfig.id,
+  name: instanceConfig.name,
+  source: instanceConfig.source,
+  client: createBackend(instanceConfig),
+  lastPollTime: Date.now(),
+  pollInProgress: false,
+  authFailed: false,
+  lastSuccessfulPoll: null,
+  lastPollError: null,
+  connectionCheck: null
+}));
+
+const metrics = createMetrics();
+
+/**
+ * Set up dashboard sign-in from AUTH_USERS, or users in the config file,
+ * AUTH_TOKEN and ADMIN_TOKEN; sign-in stays off without users or AUTH_TOKEN
+ */
+function createDashboardAuth() {
+  let users = loadedConfig.users || [];
+  if (process.env.AUTH_USERS) {
+    try {
+      users = JSON.parse(process.env.AUTH_USERS);
+    } catch (error) {
+      console.error(`❌ AUTH_USERS is not valid JSON: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (!Array.isArray(users)) {
+    console.error(`❌ ${process.env.AUTH_USERS ? 'AUTH_USERS' : `users in ${configFile.filePath}`} must be a list`);
+    process.exit(1);
+  }
+
+  try {
+    return new DashboardAuth({
+      users,
+      token: config.authToken,
+      adminToken: config.adminToken,
+      secret: config.sessionSecret,
+      sessionHours: config.sessionHours
+    });
+  } catch (error) {
+    console.error(`❌ Invalid dashboard users: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Register the metrics served on /metrics
+ * Counters owned by this file are increased where things happen, the rest
+ * is read from GeoService and the backends at scrape time
+ */
+function createMetrics() {
+  const registry = new Metrics('dnsviz_');
+  const geoStat = key => () => geoService.getStats()[key];
+
+  registry.counter('polls_total', 'Query log and stats polls per instance');
+  registry.counter('poll_failures_total', 'Failed query log and stats polls per instance');
+  registry.counter('entries_processed_total', 'Query log entries processed per instance');
+  registry.counter('entries_duplicate_total', 'Query log entries matching one already delivered, skipped',
+    () => instances.map(instance => ({ labels: { instance: instance.id }, value: instance.client.duplicateEntries })));
+  registry.counter('queries_total', 'Processed queries per instance, record type and blocked state');
+  registry.counter('broadcast_errors_total', 'WebSocket messages that failed to send');
+  registry.inc('broadcast_errors_total', {}, 0);
+  registry.gauge('websocket_clients', 'Connected WebSocket clients', () => activeConnections.size);
+  registry.gauge('websocket_lagging_clients', 'WebSocket clients too slow to get every query', () => broadcaster.getLaggingCount());
+  registry.counter('websocket_dropped_queries_total', 'Queries not sent to slow WebSocket clients');
+  registry.inc('websocket_dropped_queries_total', {}, 0);
+  registry.gauge('polling_active', 'Whether the DNS servers are being polled', () => (dnsPollingInterval ? 1 : 0));
+
+  registry.counter('geo_lookups_total', 'GeoIP lookups', geoStat('totalLookups'));
+  registry.counter('geo_cache_hits_total', 'GeoIP lookups answered from the cache', geoStat('cacheHits'));
+  registry.counter('geo_cache_misses_total', 'GeoIP lookups not in the cache', geoStat('cacheMisses'));
+  registry.counter('geo_api_calls_total', 'Requests to the GeoIP API', geoStat('apiCalls'));
+  registry.counter('geo_api_failures_total', 'Failed requests to the GeoIP API', geoStat('apiFailures'));
+  registry.counter('geo_rate_limit_hits_total', 'GeoIP lookups skipped by the rate limit', geoStat('rateLimitHits'));
+  registry.counter('geo_circuit_breaker_trips_total', 'Times the GeoIP circuit breaker opened', geoStat('circuitBreakerTrips'));
+  registry.gauge('geo_cache_size', 'Entries in the GeoIP cache', geoStat('cacheSize'));
+  registry.gauge('geo_circuit_breaker_state', 'GeoIP circuit breaker state, 1 for the current one', () => {
+    const current = geoService.getStats().circuitBreakerState;
+    return ['CLOSED', 'HALF_OPEN', 'OPEN'].map(state => ({ labels: { state }, value: state === current ? 1 : 0 }));
+  });
+
+  return registry;
+}
+
+/**
+ * Create the DNS backend client for an instance
+ * Every backend implements the DnsBackend interface, so polling does not
+ * care which one it talks to
+ */
+function createBackend(instanceConfig) {
+  const options = {
+    pageSize: config.queryLogPageSize,
+    maxPages: config.queryLogMaxPages,
+    resolver: new DnsResolver(instanceConfig.lookupResolver, { maxCacheSize: config.lookupCacheSize })
+  };
+
+  if (instanceConfig.type === 'pihole') {
+    return new PiholeClient(instanceConfig.url, instanceConfig.password, options);
+  }
+
+  return new AdGuardClient(instanceConfig.url, instanceConfig.username, instanceConfig.password, {
+    ...options,
+    authMode: instanceConfig.authMode
+  });
+}
+
+/**
+ * Build the list of monitored DNS server instances
+ * Uses ADGUARD_INSTANCES (JSON array) or the config file's instances when
+ * set, otherwise a single instance from ADGUARD_URL / ADGUARD_USERNAME /
+ * ADGUARD_PASSWORD, or from PIHOLE_URL / PIHOLE_PASSWORD when DNS_BACKEND=pihole
+ */
+function loadInstanceConfigs() {
+  const defaultSource = {
+    lat: config.sourceLat,
+    lng: config.sourceLng,
+    city: config.sourceCity
+  };
+
+  if (!DnsResolver.parseTarget(config.lookupResolver)) {
+    console.error(`❌ LOOKUP_RESOLVER must be system, dns://host[:port] or an https:// DoH URL, got "${config.lookupResolver}"`);
+    process.exit(1);
+  }
+
+  const instancesSource = process.env.ADGUARD_INSTANCES ? 'ADGUARD_INSTANCES' : `instances in ${configFile.filePath}`;
+
+  if (!process.env.ADGUARD_INSTANCES && !loadedConfig.instances) {
+    const backend = process.env.DNS_BACKEND || 'adguard';
+
+    if (!['adguard', 'pihole'].includes(backend)) {
+      console.error(`❌ DNS_BACKEND must be adguard or pihole, got "${backend}"`);
+      process.exit(1);
+    }
+
+    const requiredEnvVars = backend === 'pihole'
+      ? ['PIHOLE_URL']
+      : ['ADGUARD_URL', 'ADGUARD_USERNAME', 'ADGUARD_PASSWORD'];
+    const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
+
+    if (missingEnvVars.length > 0) {
+      console.error(`❌ Missing required environment variables: ${missingEnvVars.join(', ')}`);
+      console.error('Please create a .env file with the required variables.');
+      process.exit(1);
+    }
+
+    if (backend === 'pihole') {
+      return [{
+        id: 'default',
+        type: 'pihole',
+        name: process.env.PIHOLE_NAME || 'Pi-hole',
+        url: process.env.PIHOLE_URL,
+        password: process.env.PIHOLE_PASSWORD,
+        lookupResolver: config.lookupResolver,
+        source: defaultSource
+      }];
+    }
+
+    return [{
+      type: 'adguard',
+      id: 'default',
+      name: process.env.ADGUARD_NAME || 'AdGuard Home',
+      url: process.env.ADGUARD_URL,
+      username: process.env.ADGUARD_USERNAME,
+      password: process.env.ADGUARD_PASSWORD,
+      authMode: process.env.ADGUARD_AUTH_MODE,
+      lookupResolver: config.lookupResolver,
+      source: defaultSource
+    }];
+  }
+
+  let parsed = loadedConfig.instances;
+  if (process.env.ADGUARD_INSTANCES) {
+    try {
+      parsed = JSON.parse(process.env.ADGUARD_INSTANCES);
+    } catch (error) {
+      console.error(`❌ ADGUARD_INSTANCES is not valid JSON: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    console.error(`❌ ${instancesSource} must be a non-empty list`);
+    process.exit(1);
+  }
+
+  const seenIds = new Set();
+  const errors = [];
+
+  const configs = parsed.map((item, index) => {
+    const id = String(item?.id || '').trim();
+    const label = id || `#${index + 1}`;
+
+    if (!/^[\w-]{1,32}$/.test(id)) {
+      errors.push(`instance ${label}: "id" must be 1-32 letters, digits, "-" or "_"`);
+    } else if (seenIds.has(id)) {
+      errors.push(`instance ${label}: duplicate id`);
+    }
+    seenIds.add(id);
+
+    const type = item?.type || 'adguard';
+    if (!['adguard', 'pihole'].includes(type)) {
+      errors.push(`instance ${label}: "type" must be adguard or pihole`);
+    }
+
+    const requiredFields = type === 'pihole' ? ['url'] : ['url', 'username', 'password'];
+    for (const field of requiredFields) {
+      if (!item?.[field]) errors.push(`instance ${label}: missing "${field}"`);
+    }
+
+    if (item?.authMode !== undefined && !['auto', 'session', 'basic'].includes(item.authMode)) {
+      errors.push(`instance ${label}: "authMode" must be auto, session or basic`);
+    }
+
+    if (item?.lookupResolver !== undefined && !DnsResolver.parseTarget(item.lookupResolver)) {
+      errors.push(`instance ${label}: "lookupResolver" must be system, dns://host[:port] or an https:// DoH URL`);
+    }
+
+    const lat = parseFloat(item?.lat);
+    const lng = parseFloat(item?.lng);
+    const hasCoordinates = !isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+    if ((item?.lat !== undefined || item?.lng !== undefined) && !hasCoordinates) {
+      errors.push(`instance ${label}: invalid "lat"/"lng"`);
+    }
+
+    return {
+      id,
+      type,
+      name: String(item?.name || id),
+      url: item?.url,
+      username: item?.username,
+      password: item?.password,
+      authMode: item?.authMode || process.env.ADGUARD_AUTH_MODE,
+      lookupResolver: item?.lookupResolver || config.lookupResolver,
+      source: hasCoordinates
+        ? { lat, lng, city: String(item.city || item.name || id) }
+        : defaultSource
+    };
+  });
+
+  if (errors.length > 0) {
+    console.error(`❌ Invalid ${instancesSource}:`);
+    errors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+
+  return configs;
+}
 
 const app = express();
 const server = http.createServer(app);
@@ -75,62 +359,851 @@ const limiter = rateLimit({
   max: config.nodeEnv === 'production' ? 100 : 1000,
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Scrapers poll often; only a correct METRICS_TOKEN skips the limit so
+  // tokens can't be guessed at full speed
+  skip: req => req.path === '/metrics' && hasBearerToken(req, config.metricsToken)
 });
 
-app.use(limiter);
-
-app.use(express.static(path.join(__dirname, '../public')));
+const HEALTH_CHECK_TIMEOUT_MS = 3000;
+const HEALTH_CHECK_CACHE_MS = 10000;
 
-app.get('/health', (req, res) => {
+// Probes poll often, keep them out of the rate limit. Liveness gives
+// nothing away and readiness only reports details to monitoring clients
+app.get(['/health', '/health/live'], (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
+    uptime: Math.round(process.uptime()),
     connections: activeConnections.size
   });
 });
 
-const wss = new WebSocketServer({ server });
+// Readiness: the DNS servers and the GeoIP provider are usable
+app.get('/health/ready', async (req, res) => {
+  const report = await getReadiness();
+  const body = canReadMonitoring(req) ? report : { status: report.status, timestamp: report.timestamp };
+  res.status(report.status === 'ok' ? 200 : 503).json(body);
+});
+
+app.use(limiter);
+
+app.get('/metrics', (req, res) => {
+  if (!canReadMonitoring(req)) {
+    return res.status(401).json({ error: 'Sign in or send METRICS_TOKEN as a Bearer token' });
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many sign-in attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  // Only failed attempts count towards the limit
+  requestWasSuccessful: (req, res) => res.locals.signedIn === true
+});
+
+// Reachable without a session so the login page can be shown
+const PUBLIC_PATHS = ['/login', '/styles.css'];
+
+app.get('/login', (req, res) => {
+  if (!dashboardAuth.enabled || dashboardAuth.getSession(req)) {
+    return res.redirect('/');
+  }
+  res.sendFile(path.join(__dirname, '../public/login.html'));
+});
+
+app.post('/login', loginLimiter, express.urlencoded({ extended: false, limit: '10kb' }), async (req, res) => {
+  if (!dashboardAuth.enabled) return res.redirect(303, '/');
+
+  const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+  const password = typeof req.body.password === 'string' ? req.body.password : '';
+  const session = await dashboardAuth.login(username, password);
+
+  await auditLog.record({ action: 'login', actor: username || 'token', ip: req.ip, result: session ? 'ok' : 'failed' });
+
+  if (!session) {
+    return res.redirect(303, '/login?failed=1');
+  }
+
+  res.locals.signedIn = true;
+  res.setHeader('Set-Cookie', dashboardAuth.createCookie(session, isSecureRequest(req)));
+  res.redirect(303, '/');
+});
+
+app.post('/logout', (req, res) => {
+  res.setHeader('Set-Cookie', dashboardAuth.clearCookie());
+  res.redirect(303, dashboardAuth.enabled ? '/login' : '/');
+});
+
+app.use(requireSession);
+
+app.use(express.static(path.join(__dirname, '../public')));
+
+app.use('/api', express.json({ limit: '10kb' }));
+
+const RULE_ACTIONS = ['block', 'allow', 'clear'];
+const REPLAY_ACTIONS = ['pause', 'resume', 'seek', 'speed', 'stop'];
+const ADMIN_ACTIONS = ['clear_geo_cache', 'reset_circuit_breaker', 'poll_now', 'pause_polling', 'resume_polling', 'set_intervals'];
+const TIMELINE_MAX_WINDOW_MS = 60 * 60 * 1000;
+const QUERYLOG_STATUSES = ['all', 'filtered', 'blocked', 'blocked_safebrowsing', 'blocked_parental', 'whitelisted', 'rewritten', 'safe_search', 'processed'];
+
+/**
+ * Require a signed-in session when dashboard sign-in is on
+ * Pages redirect to the login page, API calls get a 401
+ */
+function requireSession(req, res, next) {
+  if (!dashboardAuth.enabled) return next();
+
+  const session = dashboardAuth.getSession(req);
+  if (session) {
+    req.session = session;
+    return next();
+  }
+
+  if (PUBLIC_PATHS.includes(req.path)) return next();
+
+  if (req.method === 'GET' && !req.path.startsWith('/api/')) {
+    return res.redirect('/login');
+  }
+  res.status(401).json({ error: 'Sign in required' });
+}
+
+// Behind a TLS-terminating proxy req.secure is false, trust its header instead
+function isSecureRequest(req) {
+  return req.secure || req.get('x-forwarded-proto') === 'https';
+}
+
+/**
+ * Whether a request carries the given token as "Authorization: Bearer"
+ * Always false while the token is unset
+ */
+function hasBearerToken(req, token) {
+  if (!token) return false;
+
+  const header = req.get('authorization') || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Whether a request may read /metrics and the full readiness report: with
+ * METRICS_TOKEN, a dashboard session when sign-in is on, or by anyone while
+ * neither sign-in nor METRICS_TOKEN is configured
+ */
+function canReadMonitoring(req) {
+  if (hasBearerToken(req, config.metricsToken)) return true;
+  if (dashboardAuth.enabled) return Boolean(dashboardAuth.getSession(req));
+  return !config.metricsToken;
+}
+
+/**
+ * Whether a request comes from an admin: signed in as one with sign-in on,
+ * otherwise carrying ADMIN_TOKEN
+ */
+function isAdminRequest(req) {
+  return dashboardAuth.enabled ? req.session?.role === 'admin' : hasBearerToken(req, config.adminToken);
+}
+
+/**
+ * Whether a connection or request may use the admin actions: signed in as
+ * an admin with sign-in on, otherwise ADMIN_TOKEN must be set
+ */
+function canUseAdminActions(session) {
+  return dashboardAuth.enabled ? session?.role === 'admin' : Boolean(config.adminToken);
+}
+
+/**
+ * Only let admins change DNS server state
+ * With sign-in on the session decides; otherwise requests must carry the
+ * admin token, and admin actions are disabled entirely while ADMIN_TOKEN is unset
+ */
+function requireAdmin(req, res, next) {
+  if (dashboardAuth.enabled) {
+    if (!canUseAdminActions(req.session)) {
+      return res.status(403).json({ error: 'Admin role required' });
+    }
+    req.actor = req.session.user;
+    return next();
+  }
+
+  if (!config.adminToken) {
+    return res.status(403).json({ error: 'Admin actions are disabled. Set ADMIN_TOKEN to enable them.' });
+  }
+
+  if (!hasBearerToken(req, config.adminToken)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  req.actor = 'admin';
+  next();
+}
+
+/**
+ * Look up the instance a request refers to, answering with an error if there is none
+ * The id may be left out while only one instance is monitored
+ * @returns {Object|null} Instance, or null once an error response was sent
+ */
+function findRequestedInstance(instanceId, res) {
+  const instance = instanceId
+    ? instances.find(item => item.id === instanceId)
+    : instances.length === 1 ? instances[0] : null;
+
+  if (!instance) {
+    res.status(instanceId ? 404 : 400).json({
+      error: instanceId ? `Unknown instance "${instanceId}"` : 'instance is required when monitoring several DNS servers'
+    });
+    return null;
+  }
+
+  return instance;
+}
+
+/**
+ * Lowercase a domain from a request and check it is safe to put in a rule
+ * @returns {string|null} Domain, or null when it is not a plain hostname
+ */
+function normalizeRuleDomain(value) {
+  if (typeof value !== 'string') return null;
+
+  const domain = value.trim().toLowerCase().replace(/\.$/, '');
+  if (domain.length === 0 || domain.length > 253) return null;
+
+  return /^([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?\.)*[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?$/.test(domain) ? domain : null;
+}
+
+app.post('/api/rules', requireAdmin, async (req, res) => {
+  const { action, instance: instanceId } = req.body || {};
+  const domain = normalizeRuleDomain(req.body?.domain);
+
+  if (!RULE_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of ${RULE_ACTIONS.join(', ')}` });
+  }
+  if (!domain) {
+    return res.status(400).json({ error: 'domain must be a valid hostname' });
+  }
+
+  const instance = findRequestedInstance(instanceId, res);
+  if (!instance) return;
+
+  const auditEntry = {
+    action,
+    domain,
+    instance: instance.id,
+    actor: req.actor,
+    ip: req.ip
+  };
+
+  try {
+    const result = await instance.client.updateDomainRule(domain, action);
+    await auditLog.record({ ...auditEntry, result: result.changed ? 'ok' : 'unchanged', rule: result.rule });
+    res.json({ ok: true, domain, action, instance: instance.id, ...result });
+  } catch (error) {
+    await auditLog.record({ ...auditEntry, result: 'error', error: error.message });
+
+    if (error.code === 'NOT_SUPPORTED') {
+      return res.status(501).json({ error: error.message });
+    }
+
+    console.error(`❌ [${instance.id}] Failed to ${action} ${domain}:`, error.message);
+    res.status(502).json({ error: `${instance.client.backendName} did not accept the rule change: ${error.message}` });
+  }
+});
+
+app.get('/api/audit', requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+
+  try {
+    res.json({ entries: await auditLog.getRecent(limit) });
+  } catch (error) {
+    console.error('Error reading audit log:', error.message);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+app.get('/api/querylog', async (req, res) => {
+  const search = typeof req.query.search === 'string' ? req.query.search.trim().slice(0, 256) : '';
+  const responseStatus = req.query.status || 'all';
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const olderThan = typeof req.query.older_than === 'string' ? req.query.older_than : null;
+
+  if (!QUERYLOG_STATUSES.includes(responseStatus)) {
+    return res.status(400).json({ error: `status must be one of ${QUERYLOG_STATUSES.join(', ')}` });
+  }
+  if (olderThan && isNaN(Date.parse(olderThan))) {
+    return res.status(400).json({ error: 'older_than must be an RFC3339 timestamp' });
+  }
+
+  const instance = findRequestedInstance(req.query.instance, res);
+  if (!instance) return;
+
+  try {
+    const result = await instance.client.searchQueryLog({ search, responseStatus, limit, olderThan });
+    res.json({
+      instance: instance.id,
+      entries: result.entries.map(entry => ({
+        timestamp: entry.timestamp.toISOString(),
+        domain: entry.domain,
+        queryType: entry.type,
+        status: entry.status,
+        answer: entry.answer,
+        elapsed: entry.elapsed,
+        upstream: entry.upstream,
+        cached: entry.cached,
+        filtered: entry.filtered,
+        reason: entry.reason,
+        cnameChain: entry.cnameChain,
+        protocol: entry.protocol,
+        ecs: entry.ecs,
+        dnssec: entry.dnssec,
+        clientIp: entry.client,
+        clientName: entry.clientName,
+        clientTags: entry.clientTags
+      })),
+      olderThan: result.oldest
+    });
+  } catch (error) {
+    if (error.code === 'NOT_SUPPORTED') {
+      return res.status(501).json({ error: error.message });
+    }
+    if (error.code === 'AUTH_FAILED') {
+      handlePollError(instance, error, 'query log search');
+    }
+    res.status(502).json({ error: `Failed to search the query log of ${instance.name}: ${error.message}` });
+  }
+});
+
+app.get('/api/recordings', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      recording: config.recordEvents,
+      current: recorder.currentName,
+      recordings: await recorder.list()
+    });
+  } catch (error) {
+    console.error('Error listing recordings:', error.message);
+    res.status(500).json({ error: 'Failed to list recordings' });
+  }
+});
+
+app.get('/api/replay', (req, res) => {
+  res.json(replayer.getState());
+});
+
+app.post('/api/replay', requireAdmin, async (req, res) => {
+  const { recording, speed = 1 } = req.body || {};
+  const filePath = recorder.resolvePath(recording);
+
+  if (!filePath) {
+    return res.status(400).json({ error: 'recording must be a name from GET /api/recordings' });
+  }
+  if (!EventReplayer.SPEEDS.includes(speed)) {
+    return res.status(400).json({ error: `speed must be one of ${EventReplayer.SPEEDS.join(', ')}` });
+  }
+
+  const auditEntry = { action: 'replay', recording, actor: req.actor, ip: req.ip };
+
+  try {
+    const state = await replayer.start(filePath, recording, speed);
+    await auditLog.record({ ...auditEntry, result: 'ok' });
+    res.json(state);
+  } catch (error) {
+    await auditLog.record({ ...auditEntry, result: 'error', error: error.message });
+
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: `Recording ${recording} not found` });
+    }
+    if (error.code === 'EMPTY_RECORDING') {
+      return res.status(422).json({ error: error.message });
+    }
+
+    console.error(`❌ Failed to replay ${recording}:`, error.message);
+    res.status(500).json({ error: 'Failed to load the recording' });
+  }
+});
+
+app.post('/api/replay/control', requireAdmin, async (req, res) => {
+  const { action, position, speed } = req.body || {};
+
+  if (!REPLAY_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of ${REPLAY_ACTIONS.join(', ')}` });
+  }
+  if (!replayer.isActive()) {
+    return res.status(409).json({ error: 'No replay is running' });
+  }
+  if (action === 'seek' && (typeof position !== 'number' || !isFinite(position) || position < 0)) {
+    return res.status(400).json({ error: 'position must be a number of milliseconds from the start' });
+  }
+  if (action === 'speed' && !EventReplayer.SPEEDS.includes(speed)) {
+    return res.status(400).json({ error: `speed must be one of ${EventReplayer.SPEEDS.join(', ')}` });
+  }
+
+  const recording = replayer.name;
+
+  switch (action) {
+    case 'pause': replayer.pause(); break;
+    case 'resume': replayer.resume(); break;
+    case 'seek': replayer.seek(position); break;
+    case 'speed': replayer.setSpeed(speed); break;
+    case 'stop':
+      replayer.stop();
+      await auditLog.record({ action: 'replay_stop', recording, actor: req.actor, ip: req.ip, result: 'ok' });
+      break;
+  }
+
+  res.json(replayer.getState());
+});
+
+// Lets the dashboard notice an expired session after the WebSocket drops
+app.get('/api/session', (req, res) => {
+  res.json({
+    authEnabled: dashboardAuth.enabled,
+    user: req.session?.user || null,
+    role: req.session?.role || null
+  });
+});
+
+app.get('/api/admin/status', requireAdmin, (req, res) => {
+  res.json(getAdminStatus());
+});
+
+app.post('/api/admin/control', requireAdmin, async (req, res) => {
+  const { action, pollInterval, statsInterval } = req.body || {};
+
+  if (!ADMIN_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of ${ADMIN_ACTIONS.join(', ')}` });
+  }
+  if (action === 'set_intervals') {
+    const invalid = [
+      ['pollInterval', pollInterval, ConfigFile.range('pollInterval')],
+      ['statsInterval', statsInterval, ConfigFile.range('statsInterval')]
+    ].find(([, value, range]) => value !== undefined && (!Number.isInteger(value) || value < range.min || value > range.max));
+
+    if (invalid) {
+      const [name, , range] = invalid;
+      return res.status(400).json({ error: `${name} must be a whole number of milliseconds from ${range.min} to ${range.max}` });
+    }
+    if (pollInterval === undefined && statsInterval === undefined) {
+      return res.status(400).json({ error: 'set_intervals needs pollInterval and/or statsInterval' });
+    }
+  }
+
+  switch (action) {
+    case 'clear_geo_cache': geoService.clearCache(); break;
+    case 'reset_circuit_breaker': geoService.resetCircuitBreaker(); break;
+    case 'poll_now': await Promise.all([pollAllDNSLogs(), pollAllStats()]); break;
+    case 'pause_polling': pausePolling(); break;
+    case 'resume_polling': resumePolling(); break;
+    case 'set_intervals': setPollingIntervals(pollInterval, statsInterval); break;
+  }
+
+  await auditLog.record({
+    action,
+    actor: req.actor,
+    ip: req.ip,
+    ...(action === 'set_intervals' ? { pollInterval: config.pollInterval, statsInterval: config.statsInterval } : {}),
+    result: 'ok'
+  });
+  res.json(getAdminStatus());
+});
+
+/**
+ * Geo service and polling state for the admin panel
+ */
+function getAdminStatus() {
+  return {
+    geo: geoService.getStats(),
+    polling: {
+      active: Boolean(dnsPollingInterval),
+      paused: pollingPaused,
+      captureMode: config.captureMode,
+      connections: activeConnections.size,
+      pollInterval: config.pollInterval,
+      statsInterval: config.statsInterval
+    }
+  };
+}
+
+/**
+ * Stop polling until resumed, whether or not browsers are connected
+ */
+function pausePolling() {
+  if (pollingPaused) return;
+
+  pollingPaused = true;
+  clearPollingTimers();
+  console.log('⏸️  DNS polling paused by an admin');
+}
+
+function resumePolling() {
+  if (!pollingPaused) return;
+
+  pollingPaused = false;
+  console.log('▶️  DNS polling resumed by an admin');
+  startPolling();
+}
+
+/**
+ * Change the polling intervals, restarting running timers so they apply now
+ */
+function setPollingIntervals(pollInterval, statsInterval) {
+  if (pollInterval !== undefined) config.pollInterval = pollInterval;
+  if (statsInterval !== undefined) config.statsInterval = statsInterval;
+
+  console.log(`⏱️  Polling intervals set to ${config.pollInterval}ms (query log) and ${config.statsInterval}ms (stats)`);
+
+  if (dnsPollingInterval) {
+    clearPollingTimers();
+    startPolling();
+  }
+}
+
+/**
+ * Read a time query parameter given as epoch milliseconds or an ISO timestamp
+ * @returns {number|null|undefined} Epoch ms, undefined when absent, null when invalid
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') return null;
+
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+app.get('/api/history', async (req, res) => {
+  if (!config.historyEnabled) {
+    return res.status(404).json({ error: 'Query history is disabled (HISTORY_ENABLED=false)' });
+  }
+
+  const to = parseTimeParam(req.query.to) ?? Date.now();
+  const from = parseTimeParam(req.query.from) ?? to - 24 * 60 * 60 * 1000;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+  const { client, domain, country, instance } = req.query;
+  const blocked = req.query.blocked === undefined ? undefined : req.query.blocked === 'true';
+  const before = req.query.before;
+
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'from and to must be epoch milliseconds or ISO timestamps' });
+  }
+  if (from >= to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+  if (before !== undefined && (typeof before !== 'string' || !/^\d+:\d+$/.test(before))) {
+    return res.status(400).json({ error: 'before must be the next value of a previous page' });
+  }
+  if ([client, domain, country, instance].some(value => value !== undefined && (typeof value !== 'string' || value.length > 256))) {
+    return res.status(400).json({ error: 'client, domain, country and instance must be strings' });
+  }
+
+  try {
+    const result = await historyStore.query({
+      from,
+      to,
+      client: client?.trim() || undefined,
+      domain: domain?.trim().replace(/\.$/, '') || undefined,
+      country: country?.trim() || undefined,
+      instance: instance || undefined,
+      blocked,
+      limit,
+      before
+    });
+
+    res.json({
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      entries: result.entries,
+      next: result.next
+    });
+  } catch (error) {
+    console.error('Error reading query history:', error.message);
+    res.status(500).json({ error: 'Failed to read query history' });
+  }
+});
+
+app.get('/api/rollups', (req, res) => {
+  const window = req.query.window || '24h';
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  if (!QueryRollups.WINDOWS.includes(window)) {
+    return res.status(400).json({ error: `window must be one of ${QueryRollups.WINDOWS.join(', ')}` });
+  }
+
+  res.json(rollups.getRollup(window, limit));
+});
+
+app.get('/api/timeline', async (req, res) => {
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+
+  if (from === undefined || to === undefined || from === null || to === null) {
+    return res.status(400).json({ error: 'from and to must be epoch milliseconds or ISO timestamps' });
+  }
+  if (from >= to || to - from > TIMELINE_MAX_WINDOW_MS) {
+    return res.status(400).json({ error: 'from must be before to, at most 60 minutes apart' });
+  }
+  if (from < Date.now() - config.timelineSpanHours * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `The timeline only goes back ${config.timelineSpanHours} hours` });
+  }
+
+  const instance = findRequestedInstance(req.query.instance, res);
+  if (!instance) return;
+
+  try {
+    const result = await instance.client.getQueryLogRange({
+      from: new Date(from),
+      to: new Date(to),
+      limit: config.timelineMaxEntries
+    });
+    const entries = result.entries.slice().reverse();
+    const locations = locateTimelineIps(entries);
+
+    const events = [];
+    for (const entry of entries) {
+      entry.cnameChain = entry.cnameChain || [];
+      entry.ipSource = 'querylog';
+
+      if (!entry.answer || entry.answer.length === 0) {
+        events.push(createQueryMessage(instance, entry, entry.filtered ? 'Blocked' : 'No Answer', null));
+        continue;
+      }
+
+      for (const ip of entry.answer) {
+        events.push(createQueryMessage(instance, entry, ip, locations.get(ip) || null));
+      }
+    }
+
+    res.json({
+      instance: instance.id,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      events,
+      stats: summarizeTimelineStats(entries),
+      truncated: result.truncated,
+      unlocated: [...locations.values()].filter(location => location === null).length
+    });
+  } catch (error) {
+    if (error.code === 'NOT_SUPPORTED') {
+      return res.status(501).json({ error: error.message });
+    }
+    if (error.code === 'AUTH_FAILED') {
+      handlePollError(instance, error, 'timeline');
+    }
+    res.status(502).json({ error: `Failed to read the query log of ${instance.name}: ${error.message}` });
+  }
+});
+
+/**
+ * Locate the answer IPs of past queries from the GeoIP cache only
+ * Looking them up would spend the shared API quota that live traffic needs
+ * @returns {Map} IP → destination, null when it is not cached or could not be located
+ */
+function locateTimelineIps(entries) {
+  const locations = new Map();
+
+  for (const entry of entries) {
+    for (const ip of entry.answer || []) {
+      if (!locations.has(ip)) locations.set(ip, geoService.getCached(ip) ?? null);
+    }
+  }
+
+  return locations;
+}
+
+/**
+ * Stats for a past window in the shape getStats() returns, computed from its
+ * query log entries
+ */
+function summarizeTimelineStats(entries) {
+  const upstreams = new Map();
+  let totalElapsed = 0;
+
+  for (const entry of entries) {
+    const elapsed = parseFloat(entry.elapsed) || 0;
+    totalElapsed += elapsed;
+
+    if (entry.upstream && !entry.cached) {
+      const upstream = upstreams.get(entry.upstream) || { responses: 0, totalElapsed: 0 };
+      upstream.responses++;
+      upstream.totalElapsed += elapsed;
+      upstreams.set(entry.upstream, upstream);
+    }
+  }
+
+  const sorted = [...upstreams.entries()].sort((a, b) => b[1].responses - a[1].responses);
+
+  // Times in seconds like AdGuard's own stats
+  return {
+    numDnsQueries: entries.length,
+    numBlockedFiltering: entries.filter(entry => entry.filtered).length,
+    avgProcessingTime: entries.length > 0 ? totalElapsed / entries.length / 1000 : 0,
+    topUpstreamsResponses: sorted.map(([name, upstream]) => ({ [name]: upstream.responses })),
+    topUpstreamsAvgTime: sorted.map(([name, upstream]) => ({ [name]: upstream.totalElapsed / upstream.responses / 1000 }))
+  };
+}
+
+app.get('/api/geo/:ip', async (req, res) => {
+  if (!net.isIP(req.params.ip)) {
+    return res.status(400).json({ error: 'Invalid IP address' });
+  }
+
+  try {
+    // Only admins may spend the shared GeoIP quota, others get what is cached
+    const destination = isAdminRequest(req)
+      ? await geoService.lookup(req.params.ip)
+      : geoService.getCached(req.params.ip) ?? null;
+    res.json({ ip: req.params.ip, destination });
+  } catch (error) {
+    console.error(`GeoIP lookup for ${req.params.ip} failed:`, error.message);
+    res.status(502).json({ error: 'GeoIP lookup failed' });
+  }
+});
+
+/**
+ * Check every instance, the GeoIP provider and polling
+ * Degraded when an instance is unreachable or rejects the credentials, the
+ * GeoIP circuit breaker is open, or polling is on but the query log has not
+ * been read for three poll intervals
+ */
+async function getReadiness() {
+  const now = Date.now();
+  const polling = Boolean(dnsPollingInterval);
+  const staleAfter = Math.max(config.pollInterval * 3, 30000);
+  const problems = [];
+
+  const instanceReports = await Promise.all(instances.map(async instance => {
+    const { reachable, authenticated } = await checkConnection(instance);
+    const lastPoll = instance.lastSuccessfulPoll;
+    const stale = polling && (lastPoll === null ? now - pollingStartedAt > staleAfter : now - lastPoll > staleAfter);
+
+    if (!reachable) problems.push(`${instance.name} is unreachable`);
+    if (!authenticated) problems.push(`${instance.name} rejected the credentials`);
+    if (stale) problems.push(`${instance.name} has not been polled successfully for over ${Math.round(staleAfter / 1000)}s`);
+
+    return {
+      id: instance.id,
+      name: instance.name,
+      backend: instance.client.backendName,
+      reachable,
+      authenticated,
+      lastSuccessfulPoll: lastPoll ? new Date(lastPoll).toISOString() : null,
+      lastPollError: instance.lastPollError
+    };
+  }));
+
+  const geoStats = geoService.getStats();
+  if (geoStats.circuitBreakerState === 'OPEN') {
+    problems.push('GeoIP circuit breaker is open');
+  }
+
+  return {
+    status: problems.length > 0 ? 'degraded' : 'ok',
+    timestamp: new Date(now).toISOString(),
+    problems,
+    instances: instanceReports,
+    geo: {
+      circuitBreaker: geoStats.circuitBreakerState,
+      circuitBreakerFailures: geoStats.circuitBreakerFailures,
+      cacheSize: geoStats.cacheSize,
+      maxCacheSize: geoStats.maxCacheSize,
+      cacheFill: Math.round((geoStats.cacheSize / geoStats.maxCacheSize) * 10000) / 10000
+    },
+    polling: {
+      active: polling,
+      paused: pollingPaused,
+      captureMode: config.captureMode,
+      connections: activeConnections.size,
+      pollInterval: config.pollInterval,
+      statsInterval: config.statsInterval
+    }
+  };
+}
+
+/**
+ * Test the connection to an instance, reusing the result for a few seconds
+ * so frequent probes do not hammer the DNS server
+ * @returns {Promise<Object>} { reachable, authenticated }
+ */
+async function checkConnection(instance) {
+  const cached = instance.connectionCheck;
+  if (cached && Date.now() - cached.time < HEALTH_CHECK_CACHE_MS) {
+    return cached.result;
+  }
+
+  const check = instance.client.testConnection()
+    .then(reachable => ({ reachable, authenticated: !instance.authFailed }))
+    .catch(error => (error.code === 'AUTH_FAILED'
+      ? { reachable: true, authenticated: false }
+      : { reachable: false, authenticated: !instance.authFailed }));
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ reachable: false, authenticated: !instance.authFailed }), HEALTH_CHECK_TIMEOUT_MS);
+  });
+  const result = Promise.race([check, timeout]).finally(() => clearTimeout(timer));
+
+  instance.connectionCheck = { time: Date.now(), result };
+  return instance.connectionCheck.result;
+}
+
+// Clients only send small control messages such as subscribe. Without
+// context takeover each connection's compressor holds no state between frames
+const wss = new WebSocketServer({
+  server,
+  verifyClient: verifyWebSocketClient,
+  maxPayload: 64 * 1024,
+  perMessageDeflate: {
+    threshold: 1024,
+    zlibDeflateOptions: { level: 3 },
+    serverNoContextTakeover: true,
+    clientNoContextTakeover: true
+  }
+});
 
 const activeConnections = new Set();
+const broadcaster = new WebSocketBroadcaster(activeConnections, {
+  interval: config.broadcastInterval,
+  onDropped: count => metrics.inc('websocket_dropped_queries_total', {}, count),
+  onError: error => {
+    metrics.inc('broadcast_errors_total');
+    console.error('Error broadcasting to client:', error.message);
+  }
+});
 let dnsPollingInterval = null;
 let statsPollingInterval = null;
+let pollingStartedAt = 0;
+let pollingPaused = false;
+// Polling waits for the rollups to be rebuilt from the history, queries
+// polled meanwhile could be read back from it and counted twice
+let rollupsLoaded = !config.historyEnabled;
 
-const processedIds = new Set();
-const MAX_PROCESSED_IDS = config.maxProcessedIds;
-let lastPollTime = Date.now();
-
+/**
+ * Poll while dashboards are connected, or all the time with
+ * CAPTURE_MODE=always so the history, rollups and caches keep up
+ */
 function startPolling() {
-  if (dnsPollingInterval || activeConnections.size === 0) return;
+  if (!rollupsLoaded || pollingPaused || dnsPollingInterval) return;
+  if (activeConnections.size === 0 && config.captureMode !== 'always') return;
 
   console.log('▶️  Starting DNS polling...');
+  pollingStartedAt = Date.now();
 
-  dnsPollingInterval = setInterval(async () => {
-    try {
-      await pollDNSLogs();
-    } catch (error) {
-      console.error('Error in DNS polling:', error.message);
-      broadcast({ type: 'error', message: 'Failed to fetch DNS logs' });
-    }
-  }, config.pollInterval);
+  dnsPollingInterval = setInterval(pollAllDNSLogs, config.pollInterval);
+  statsPollingInterval = setInterval(pollAllStats, config.statsInterval);
 
-  statsPollingInterval = setInterval(async () => {
-    try {
-      await pollStats();
-    } catch (error) {
-      console.error('Error in stats polling:', error.message);
-    }
-  }, config.statsInterval);
-
-  pollDNSLogs().catch(err => console.error('Initial DNS poll failed:', err));
-  pollStats().catch(err => console.error('Initial stats poll failed:', err));
+  pollAllDNSLogs();
+  pollAllStats();
 }
 
 function stopPolling() {
-  if (activeConnections.size > 0) return;
+  if (config.captureMode === 'always' || activeConnections.size > 0 || !dnsPollingInterval) return;
 
   console.log('⏸️  Stopping DNS polling (no active connections)...');
+  clearPollingTimers();
+}
 
+function clearPollingTimers() {
   if (dnsPollingInterval) {
     clearInterval(dnsPollingInterval);
     dnsPollingInterval = null;
@@ -142,70 +1215,150 @@ function stopPolling() {
   }
 }
 
-async function pollDNSLogs() {
-  const logs = await adguardClient.getQueryLog();
+async function pollAllDNSLogs() {
+  if (!rollupsLoaded) return;
 
-  const currentPollTime = Date.now();
-  const timeSinceLastPoll = currentPollTime - lastPollTime;
+  await Promise.all(instances.map(async instance => {
+    try {
+      await pollDNSLogs(instance);
+    } catch (error) {
+      metrics.inc('poll_failures_total', { instance: instance.id, poll: 'querylog' });
+      instance.lastPollError = error.message;
+      handlePollError(instance, error, 'DNS polling');
+    }
+  }));
+}
+
+async function pollAllStats() {
+  await Promise.all(instances.map(async instance => {
+    try {
+      await pollStats(instance);
+    } catch (error) {
+      metrics.inc('poll_failures_total', { instance: instance.id, poll: 'stats' });
+      handlePollError(instance, error, 'stats polling');
+    }
+  }));
+}
 
-  const blockedCount = logs.filter(entry => entry.filtered).length;
-  const totalCount = logs.length;
+function handlePollError(instance, error, context) {
+  if (error.code === 'AUTH_FAILED') {
+    if (!instance.authFailed) {
+      console.error(`🔒 [${instance.id}] ${instance.client.backendName} authentication failed: ${error.message}`);
+    }
+    instance.authFailed = true;
+    broadcast({
+      type: 'error',
+      code: 'auth_failed',
+      instance: instance.id,
+      message: `${instance.client.backendName} rejected the credentials for ${instance.name}. Check the username and password.`
+    });
+    return;
+  }
 
-  const cutoffTime = new Date(lastPollTime - 2000);
-  const newEntries = logs.filter(entry => entry.timestamp > cutoffTime);
+  console.error(`Error in ${context} [${instance.id}]:`, error.message);
 
-  if (totalCount > 0) {
-    console.log(`📊 Fetched ${totalCount} DNS entries (${blockedCount} blocked) - ${newEntries.length} new entries since last poll (${(timeSinceLastPoll / 1000).toFixed(1)}s ago)`);
+  if (context === 'DNS polling') {
+    broadcast({ type: 'error', instance: instance.id, message: `Failed to fetch DNS logs from ${instance.name}` });
   }
+}
 
-  lastPollTime = currentPollTime;
-  let processedCount = 0;
-  let skippedDuplicates = 0;
+async function pollDNSLogs(instance) {
+  // A slow poll must not overlap the next one, or the cursor would be read twice
+  if (instance.pollInProgress) return;
+  instance.pollInProgress = true;
+  metrics.inc('polls_total', { instance: instance.id, poll: 'querylog' });
 
-  for (const entry of newEntries) {
-    const entryId = `${entry.timestamp.getTime()}-${entry.domain}-${entry.client}`;
+  try {
+    const newEntries = await instance.client.getNewQueryLogs();
+    markAuthenticated(instance);
+    instance.lastSuccessfulPoll = Date.now();
+    instance.lastPollError = null;
 
-    if (processedIds.has(entryId)) {
-      skippedDuplicates++;
-      continue;
-    }
+    const currentPollTime = Date.now();
+    const timeSinceLastPoll = currentPollTime - instance.lastPollTime;
+    instance.lastPollTime = currentPollTime;
+
+    if (newEntries.length === 0) return;
 
-    processedIds.add(entryId);
-    if (processedIds.size > MAX_PROCESSED_IDS) {
-      const firstId = processedIds.values().next().value;
-      processedIds.delete(firstId);
+    const blockedCount = newEntries.filter(entry => entry.filtered).length;
+    console.log(`📊 [${instance.id}] Fetched ${newEntries.length} new DNS entries (${blockedCount} blocked) since last poll (${(timeSinceLastPoll / 1000).toFixed(1)}s ago)`);
+
+    for (const entry of newEntries) {
+      await processDNSEntry(instance, entry);
+      metrics.inc('entries_processed_total', { instance: instance.id });
+      metrics.inc('queries_total', { instance: instance.id, type: entry.type, blocked: String(entry.filtered === true) });
     }
 
-    await processDNSEntry(entry);
-    processedCount++;
+    console.log(`✅ [${instance.id}] Processed ${newEntries.length} new queries`);
+  } finally {
+    instance.pollInProgress = false;
   }
+}
 
-  if (processedCount > 0 || skippedDuplicates > 0) {
-    console.log(`✅ Processed ${processedCount} new queries (skipped ${skippedDuplicates} duplicates)`);
-  }
+function markAuthenticated(instance) {
+  if (!instance.authFailed) return;
+
+  instance.authFailed = false;
+  console.log(`🔓 [${instance.id}] ${instance.client.backendName} authentication recovered`);
 }
 
-async function pollStats() {
-  const stats = await adguardClient.getStats();
-  broadcast({
+async function pollStats(instance) {
+  metrics.inc('polls_total', { instance: instance.id, poll: 'stats' });
+  const stats = await instance.client.getStats();
+  markAuthenticated(instance);
+  broadcastEvent({
     type: 'stats',
+    instance: instance.id,
     data: stats
   });
 }
 
-async function processDNSEntry(entry) {
-  const source = geoService.getSource();
+/**
+ * Resolve a hostname to IPs, appending the aliases found on the way to the
+ * entry's CNAME chain
+ */
+async function resolveWithChain(instance, entry, hostname) {
+  const { chain, ips } = await instance.client.resolveCnameChain(hostname);
+
+  for (const alias of chain) {
+    if (alias !== entry.domain && !entry.cnameChain.includes(alias)) {
+      entry.cnameChain.push(alias);
+    }
+  }
+
+  return ips;
+}
+
+async function processDNSEntry(instance, entry) {
+  entry.cnameChain = entry.cnameChain || [];
+  entry.ipSource = entry.answer?.length > 0 ? 'querylog' : null;
 
   console.log(`\n🔍 Processing DNS Entry: ${entry.domain} (${entry.type}) - IP: ${entry.answer?.join(', ') || 'none'}`);
 
   if (!entry.answer || entry.answer.length === 0) {
-    if (entry.cname && !entry.filtered) {
+    if (entry.needsResolution) {
+      // The backend does not log answers (Pi-hole), look the domain up instead
+      try {
+        const resolvedIps = await resolveWithChain(instance, entry, entry.domain);
+        if (resolvedIps && resolvedIps.length > 0) {
+          entry.answer = resolvedIps;
+          entry.ipSource = 'lookup';
+        } else {
+          console.log(`⚠️  A/AAAA resolution failed for ${entry.domain}`);
+        }
+      } catch (error) {
+        console.error(`❌ Error resolving ${entry.domain}:`, error.message);
+      }
+    }
+
+    if ((!entry.answer || entry.answer.length === 0) && entry.cname && !entry.filtered) {
       console.log(`📋 Resolving CNAME: ${entry.domain} → ${entry.cname}`);
       try {
-        const resolvedIps = await adguardClient.resolveCNAME(entry.cname);
+        const resolvedIps = await resolveWithChain(instance, entry, entry.cname);
         if (resolvedIps && resolvedIps.length > 0) {
           console.log(`✅ CNAME resolved: ${entry.cname} → ${resolvedIps.join(', ')}`);
           entry.answer = resolvedIps;
+          entry.ipSource = 'lookup';
           entry.resolvedFromCname = true;
         } else {
           console.log(`⚠️  CNAME resolution failed for ${entry.cname}`);
@@ -220,10 +1373,11 @@ async function processDNSEntry(entry) {
       if (nonIpRecordTypes.includes(entry.type) && !entry.filtered) {
         console.log(`📋 ${entry.type} record for ${entry.domain} has no IPs, attempting A/AAAA resolution`);
         try {
-          const resolvedIps = await adguardClient.resolveCNAME(entry.domain);
+          const resolvedIps = await resolveWithChain(instance, entry, entry.domain);
           if (resolvedIps && resolvedIps.length > 0) {
             console.log(`✅ ${entry.type} → A/AAAA resolved: ${entry.domain} → ${resolvedIps.join(', ')}`);
             entry.answer = resolvedIps;
+            entry.ipSource = 'lookup';
             entry.resolvedFromNonIpRecord = true;
           } else {
             console.log(`⚠️  ${entry.type} resolution to A/AAAA failed for ${entry.domain}`);
@@ -240,54 +1394,36 @@ async function processDNSEntry(entry) {
           console.log(`🚫 Blocked by AdGuard: ${entry.domain} (reason: ${entry.reason})`);
         }
 
-        broadcast({
-          type: 'dns_query',
-          timestamp: entry.timestamp.toISOString(),
-          source,
-          destination: null,
-          data: {
-            domain: entry.domain,
-            ip: 'Blocked',
-            queryType: entry.type,
-            elapsed: entry.elapsed,
-            upstream: entry.upstreamElapsed,
-            cached: entry.cached,
-            filtered: true,
-            clientIp: entry.client,
-            status: entry.status
-          }
-        });
+        broadcastEvent(createQueryMessage(instance, entry, 'Blocked', null));
       } else {
         if (Math.random() < 0.05) {
           const statusMsg = entry.status === 'NXDOMAIN' ? 'domain not found' : 'no IP addresses';
           console.log(`ℹ️  No geolocatable IPs: ${entry.domain} (${statusMsg}, reason: ${entry.reason})`);
         }
 
-        broadcast({
-          type: 'dns_query',
-          timestamp: entry.timestamp.toISOString(),
-          source,
-          destination: null,
-          data: {
-            domain: entry.domain,
-            ip: 'No Answer',
-            queryType: entry.type,
-            elapsed: entry.elapsed,
-            upstream: entry.upstreamElapsed,
-            cached: entry.cached,
-            filtered: false,
-            clientIp: entry.client,
-            status: entry.status
-          }
-        });
+        broadcastEvent(createQueryMessage(instance, entry, 'No Answer', null));
       }
+      recordQuery(instance, entry, []);
       return;
     }
   }
 
+  const destinations = [];
+
   for (const ip of entry.answer) {
     console.log(`  🌍 Looking up GeoIP for: ${ip}`);
     const destination = await geoService.lookup(ip);
+    destinations.push(destination
+      ? {
+        ip,
+        country: destination.country,
+        city: destination.city,
+        lat: destination.lat,
+        lng: destination.lng,
+        asn: destination.asn || null,
+        org: destination.org || null
+      }
+      : { ip, country: null, city: null, lat: null, lng: null, asn: null, org: null });
 
     if (destination) {
       console.log(`  ✅ GeoIP found: ${destination.city}, ${destination.country} (${destination.lat}, ${destination.lng})`);
@@ -295,84 +1431,351 @@ async function processDNSEntry(entry) {
       console.log(`  ❌ GeoIP lookup failed for: ${ip} (private IP or API failure)`);
     }
 
-    let queryTypeLabel = entry.type;
-    if (entry.resolvedFromCname && entry.cname) {
-      queryTypeLabel = `CNAME→A/AAAA`;
-    } else if (entry.resolvedFromNonIpRecord) {
-      queryTypeLabel = `${entry.type}→A/AAAA`;
+    // destination may be null if geo lookup failed or was skipped
+    const message = createQueryMessage(instance, entry, ip, destination);
+
+    console.log(`  📤 Broadcasting to clients: destination=${!!destination ? 'YES' : 'NO'}`);
+    broadcastEvent(message);
+  }
+
+  recordQuery(instance, entry, destinations);
+}
+
+/**
+ * Build the dns_query message for one answer of a processed query
+ * ip is 'Blocked' or 'No Answer' for queries without a usable answer
+ */
+function createQueryMessage(instance, entry, ip, destination) {
+  let queryTypeLabel = entry.type;
+  if (entry.resolvedFromCname && entry.cname) {
+    queryTypeLabel = `CNAME→A/AAAA`;
+  } else if (entry.resolvedFromNonIpRecord) {
+    queryTypeLabel = `${entry.type}→A/AAAA`;
+  }
+
+  return {
+    type: 'dns_query',
+    instance: instance.id,
+    timestamp: entry.timestamp.toISOString(),
+    source: instance.source,
+    destination,
+    data: {
+      domain: entry.domain,
+      ip,
+      queryType: queryTypeLabel,
+      recordType: entry.type,
+      cname: entry.resolvedFromCname ? entry.cname : undefined,
+      elapsed: entry.elapsed,
+      upstream: entry.upstream,
+      cached: entry.cached,
+      filtered: entry.filtered,
+      clientIp: entry.client,
+      clientName: entry.clientName,
+      clientIds: entry.clientIds,
+      clientTags: entry.clientTags,
+      cnameChain: entry.cnameChain,
+      ipSource: entry.ipSource,
+      protocol: entry.protocol,
+      ecs: entry.ecs,
+      dnssec: entry.dnssec,
+      status: entry.status
     }
+  };
+}
 
-    const message = {
-      type: 'dns_query',
-      timestamp: entry.timestamp.toISOString(),
-      source,
-      destination, // May be null if geo lookup failed or was skipped
-      data: {
-        domain: entry.domain,
-        ip,
-        queryType: queryTypeLabel,
-        cname: entry.resolvedFromCname ? entry.cname : undefined,
-        elapsed: entry.elapsed,
-        upstream: entry.upstreamElapsed,
-        cached: entry.cached,
-        filtered: entry.filtered,
-        clientIp: entry.client,
-        status: entry.status
-      }
-    };
+/**
+ * Count a processed query in the rollups and keep it in the history store,
+ * with one destination per IP
+ */
+function recordQuery(instance, entry, destinations) {
+  const event = {
+    time: entry.timestamp.toISOString(),
+    instance: instance.id,
+    domain: entry.domain,
+    type: entry.type,
+    status: entry.status,
+    client: entry.client,
+    clientName: entry.clientName || '',
+    ips: destinations.map(destination => destination.ip),
+    destinations,
+    blocked: entry.filtered === true,
+    elapsed: parseFloat(entry.elapsed) || 0,
+    upstream: entry.upstream || '',
+    cached: entry.cached === true,
+    protocol: entry.protocol
+  };
 
-    console.log(`  📤 Broadcasting to clients: destination=${!!destination ? 'YES' : 'NO'}`);
-    broadcast(message);
+  rollups.add(event);
+
+  if (config.historyEnabled) {
+    historyStore.add(event);
   }
 }
 
+/**
+ * Send a live dns_query or stats message
+ * Live messages are recorded when RECORD_EVENTS is on and kept in the event
+ * buffer for dashboards that connect later, also during a replay. Only
+ * sending them to clients is held back while a replay is running so the
+ * two never mix
+ */
+function broadcastEvent(message) {
+  if (config.recordEvents) {
+    recorder.record(message);
+  }
+
+  const event = eventBuffer.add(message);
+  if (replayer.isActive()) return;
+  broadcast(event);
+}
+
+/**
+ * Tell dashboards about the replay state and catch them up on the live
+ * queries held back during a replay once it ends. Connections open when the
+ * replay started resume from that point, later ones get the whole buffer
+ */
+function handleReplayStateChange(replayState) {
+  broadcast({ type: 'replay', ...replayState });
+
+  if (replayState.active && !liveHeldBack) {
+    liveHeldBack = true;
+    const resume = { streamId: eventBuffer.streamId, lastEventId: eventBuffer.lastId };
+    activeConnections.forEach(ws => {
+      ws.replayResume = resume;
+    });
+  } else if (!replayState.active && liveHeldBack) {
+    liveHeldBack = false;
+    // Send the state first so dashboards are back on live traffic
+    broadcaster.flush();
+    activeConnections.forEach(ws => {
+      if (ws.readyState === 1) sendSnapshot(ws, ws.replayResume || null);
+      ws.replayResume = null;
+    });
+  }
+}
+
+/**
+ * Send a message to every connection whose subscription matches it,
+ * batched into the next frame
+ */
 function broadcast(message) {
-  const data = JSON.stringify(message);
+  // Without viewers captured queries only go to the event buffer
+  if (activeConnections.size === 0) return;
+  broadcaster.send(message);
+}
 
-  activeConnections.forEach(ws => {
-    if (ws.readyState === 1) {
-      try {
-        ws.send(data);
-      } catch (error) {
-        console.error('Error broadcasting to client:', error.message);
-      }
+/**
+ * Refuse WebSocket upgrades without a valid session when sign-in is on
+ * Other sites may not open the stream with the visitor's cookie
+ */
+function verifyWebSocketClient(info, done) {
+  if (!dashboardAuth.enabled) return done(true);
+
+  if (info.origin) {
+    let originHost = null;
+    try {
+      originHost = new URL(info.origin).host;
+    } catch {
+      // Unparseable origins are refused below
     }
-  });
+    if (originHost !== info.req.headers.host) {
+      return done(false, 403, 'Forbidden');
+    }
+  }
+
+  const session = dashboardAuth.getSession(info.req);
+  if (!session) {
+    return done(false, 401, 'Unauthorized');
+  }
+
+  info.req.session = session;
+  done(true);
 }
 
 wss.on('connection', (ws, req) => {
   const clientIp = req.socket.remoteAddress;
-  console.log(`✅ Client connected from ${clientIp} (Total: ${activeConnections.size + 1})`);
+  const session = req.session || null;
+  console.log(`✅ Client connected from ${clientIp}${session ? ` as ${session.user}` : ''} (Total: ${activeConnections.size + 1})`);
 
   activeConnections.add(ws);
   startPolling();
 
+  // Close the stream when the session runs out; the dashboard then signs in again
+  const sessionTimeout = session?.expires
+    ? setTimeout(() => ws.close(4001, 'Session expired'), Math.max(0, session.expires - Date.now()))
+    : null;
+
   ws.on('close', () => {
     console.log(`❌ Client disconnected from ${clientIp} (Total: ${activeConnections.size - 1})`);
+    clearTimeout(sessionTimeout);
     activeConnections.delete(ws);
     stopPolling();
   });
 
+  ws.on('message', (raw) => {
+    handleClientMessage(ws, raw, clientIp);
+  });
+
   ws.on('error', (error) => {
     console.error(`WebSocket error from ${clientIp}:`, error.message);
     activeConnections.delete(ws);
     stopPolling();
   });
 
+  const params = parseConnectionParams(req);
+
   ws.send(JSON.stringify({
     type: 'connected',
     message: 'Connected to DNS Visualization Server',
     config: {
       pollInterval: config.pollInterval,
-      maxConcurrentArcs: config.maxConcurrentArcs
+      maxConcurrentArcs: config.maxConcurrentArcs,
+      adminActions: canUseAdminActions(session),
+      session: session ? { user: session.user, role: session.role } : null,
+      replaySpeeds: EventReplayer.SPEEDS,
+      timelineSpanHours: config.timelineSpanHours,
+      instances: instances.map(instance => ({
+        id: instance.id,
+        name: instance.name,
+        source: instance.source,
+        supportsRuleEditing: instance.client.supportsRuleEditing,
+        supportsQueryLogSearch: instance.client.supportsQueryLogSearch
+      }))
     }
   }));
+
+  if (params.filters) {
+    subscribe(ws, params.filters, clientIp);
+  }
+
+  // During a replay the dashboard shows recorded traffic, not the buffer
+  if (replayer.isActive()) {
+    ws.send(JSON.stringify({ type: 'replay', ...replayer.getState() }));
+  } else {
+    sendSnapshot(ws, params.resume);
+  }
 });
 
+/**
+ * Options a dashboard passes in the WebSocket URL
+ * subscribe: filters as JSON, applied before the snapshot is sent
+ * resume: "<streamId>:<lastEventId>" after a dropped connection
+ */
+function parseConnectionParams(req) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const result = { filters: null, resume: null };
+
+  if (params.has('subscribe')) {
+    try {
+      result.filters = JSON.parse(params.get('subscribe'));
+    } catch {
+      // Not JSON, left as text so subscribe() reports it
+      result.filters = params.get('subscribe');
+    }
+  }
+
+  const resume = (params.get('resume') || '').match(/^([0-9a-f]+):(\d+)$/);
+  if (resume) {
+    result.resume = { streamId: resume[1], lastEventId: Number(resume[2]) };
+  }
+
+  return result;
+}
+
+/**
+ * Bring a dashboard up to date with the buffered queries and latest stats
+ * A dashboard resuming its stream only gets the queries it missed
+ */
+function sendSnapshot(ws, resume) {
+  const snapshot = eventBuffer.getSnapshot(resume);
+  const events = ws.subscription
+    ? snapshot.events.filter(event => ws.subscription.matches(event))
+    : snapshot.events;
+
+  ws.send(JSON.stringify({ type: 'snapshot', ...snapshot, events }));
+}
+
+/**
+ * Handle a control message from a dashboard
+ * subscribe: { type: 'subscribe', filters } replaces the connection's
+ * filters and is answered with the normalized filters, {} clears them
+ */
+function handleClientMessage(ws, raw, clientIp) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch {
+    ws.send(JSON.stringify({ type: 'error', message: 'Messages must be JSON' }));
+    return;
+  }
+
+  if (message?.type !== 'subscribe') {
+    ws.send(JSON.stringify({ type: 'error', message: `Unknown message type "${message?.type}"` }));
+    return;
+  }
+
+  subscribe(ws, message.filters || {}, clientIp);
+}
+
+/**
+ * Replace a connection's filters, answering with the normalized filters
+ */
+function subscribe(ws, filters, clientIp) {
+  try {
+    const subscription = new SubscriptionFilter(filters);
+    ws.subscription = subscription.active ? subscription : null;
+    ws.send(JSON.stringify({ type: 'subscribed', filters: subscription.filters }));
+    console.log(`🎯 Client ${clientIp} subscribed to ${subscription.active ? JSON.stringify(subscription.filters) : 'all queries'}`);
+  } catch (error) {
+    if (error.code !== 'INVALID_FILTER') throw error;
+    ws.send(JSON.stringify({ type: 'error', message: `Invalid subscription: ${error.message}` }));
+  }
+}
+
+/**
+ * Apply settings changed in the config file while running
+ */
+function applyConfigChanges(changes) {
+  const { pollInterval, statsInterval, ...rest } = changes;
+  Object.assign(config, rest);
+
+  if (pollInterval !== undefined || statsInterval !== undefined) {
+    setPollingIntervals(pollInterval, statsInterval);
+  }
+
+  if (changes.broadcastInterval !== undefined) {
+    broadcaster.setInterval(changes.broadcastInterval);
+  }
+
+  if (changes.captureMode === 'always') {
+    startPolling();
+  } else if (changes.captureMode !== undefined) {
+    stopPolling();
+  }
+
+  geoService.configure({
+    apiTimeout: changes.geoApiTimeout,
+    maxRetries: changes.geoMaxRetries,
+    retryDelay: changes.geoRetryDelay,
+    maxRequestsPerMinute: changes.geoMaxRequestsPerMinute,
+    minRequestDelay: changes.geoMinRequestDelay
+  });
+
+  if (changes.maxConcurrentArcs !== undefined || changes.timelineSpanHours !== undefined) {
+    broadcast({
+      type: 'config_update',
+      config: { maxConcurrentArcs: config.maxConcurrentArcs, timelineSpanHours: config.timelineSpanHours }
+    });
+  }
+}
+
 function gracefulShutdown(signal) {
   console.log(`\n${signal} received. Closing gracefully...`);
 
-  stopPolling();
+  clearPollingTimers();
+  replayer.stop();
+  broadcaster.stop();
+  configFile.unwatch();
 
   activeConnections.forEach(ws => {
     ws.close(1000, 'Server shutting down');
@@ -384,7 +1787,10 @@ function gracefulShutdown(signal) {
 
   server.close(() => {
     console.log('HTTP server closed');
-    process.exit(0);
+    Promise.allSettled([
+      historyStore.stop(),
+      ...instances.map(instance => instance.client.logout())
+    ]).finally(() => process.exit(0));
   });
 
   setTimeout(() => {
@@ -393,6 +1799,22 @@ function gracefulShutdown(signal) {
   }, 10000);
 }
 
+if (config.historyEnabled) {
+  historyStore.start();
+
+  // Rebuild the rollups from the history so a restart does not empty them
+  const rollupStart = Date.now();
+  rollups.load(historyStore.scan(rollupStart - 7 * 24 * 60 * 60 * 1000, rollupStart))
+    .then(count => console.log(`📈 Loaded ${count} queries from the history into the rollups`))
+    .catch(error => console.error('❌ Failed to load the history into the rollups:', error.message))
+    .finally(() => {
+      rollupsLoaded = true;
+      startPolling();
+    });
+}
+
+configFile.watch(applyConfigChanges, () => config);
+
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 server.listen(config.port, () => {
@@ -400,7 +1822,26 @@ server.listen(config.port, () => {
   console.log(`📡 Server running on http://localhost:${config.port}`);
   console.log(`🔄 Polling interval: ${config.pollInterval}ms`);
   console.log(`📊 Stats interval: ${config.statsInterval}ms`);
-  console.log(`🌍 Source location: Kuala Lumpur (${config.sourceLat}, ${config.sourceLng})`);
+  console.log(`📦 WebSocket frames every ${config.broadcastInterval}ms`);
+  console.log(`🎥 Capture: ${config.captureMode === 'always' ? 'always, also without viewers' : 'while dashboards are connected (set CAPTURE_MODE=always to keep polling)'}`);
+  instances.forEach(instance => {
+    console.log(`🛡️  ${instance.client.backendName} instance "${instance.id}": ${instance.client.baseUrl} from ${instance.source.city} (${instance.source.lat}, ${instance.source.lng}), lookups via ${instance.client.resolver.target.label}`);
+  });
   console.log(`🔒 Environment: ${config.nodeEnv}`);
-  console.log(`\nWaiting for client connections...\n`);
+  if (dashboardAuth.enabled) {
+    console.log(`🔐 Dashboard sign-in: on (${dashboardAuth.users.size} users${config.authToken ? ', shared token' : ''}), sessions last ${config.sessionHours}h`);
+    if (!dashboardAuth.persistentSecret) {
+      console.warn('⚠️  SESSION_SECRET is not set, everyone is signed out when the server restarts');
+    }
+  } else {
+    console.log('🔓 Dashboard sign-in: off (set AUTH_USERS or AUTH_TOKEN)');
+  }
+  console.log(`🛠️  Admin actions: ${dashboardAuth.enabled ? `admin role (audit log: ${config.auditLogFile})` : config.adminToken ? `enabled (audit log: ${config.auditLogFile})` : 'disabled (set ADMIN_TOKEN)'}`);
+  console.log(`🎙️  Event recording: ${config.recordEvents ? `on (${config.recordingsDir})` : 'off (set RECORD_EVENTS=true)'}`);
+  console.log(`🗄️  Query history: ${config.historyEnabled ? `${config.historyDir}, kept ${config.historyRetentionDays} days` : 'off'}`);
+  if (config.captureMode !== 'always') {
+    console.log(`\nWaiting for client connections...\n`);
+  }
+
+  startPolling();
 });
@@ -0,0 +1,120 @@
+/**
+ * Metrics
+ * Minimal Prometheus registry rendering the text exposition format.
+ * Counters are kept here and increased with inc(); values owned by other
+ * components (GeoService stats, connection counts) are registered with a
+ * collect callback and read at scrape time.
+ */
+class Metrics {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a counter
+   * @param {string} name - Name without the prefix, ending in _total
+   * @param {string} help - Description shown by Prometheus
+   * @param {Function} collect - Optional, returns the value or [{ labels, value }] at scrape time
+   */
+  counter(name, help, collect = null) {
+    this._register(name, 'counter', help, collect);
+  }
+
+  /**
+   * Register a gauge
+   * @param {string} name - Name without the prefix
+   * @param {string} help - Description shown by Prometheus
+   * @param {Function} collect - Returns the value or [{ labels, value }] at scrape time
+   */
+  gauge(name, help, collect) {
+    this._register(name, 'gauge', help, collect);
+  }
+
+  /**
+   * Increase a counter registered without a collect callback
+   * @param {string} name - Name without the prefix
+   * @param {Object} labels - Label values, the same label names on every call
+   * @param {number} value - Amount to add
+   */
+  inc(name, labels = {}, value = 1) {
+    const metric = this.metrics.get(name);
+    if (!metric || metric.collect) {
+      throw new Error(`Unknown counter ${name}`);
+    }
+
+    const key = JSON.stringify(labels);
+    const sample = metric.samples.get(key) || { labels, value: 0 };
+    sample.value += value;
+    metric.samples.set(key, sample);
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * A collect callback that throws only leaves its own metric out
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+
+    for (const [name, metric] of this.metrics) {
+      let samples;
+      try {
+        samples = metric.collect ? this._normalize(metric.collect()) : [...metric.samples.values()];
+      } catch (error) {
+        console.error(`Error collecting metric ${name}:`, error.message);
+        continue;
+      }
+
+      const fullName = this.prefix + name;
+      lines.push(`# HELP ${fullName} ${metric.help}`);
+      lines.push(`# TYPE ${fullName} ${metric.type}`);
+      for (const sample of samples) {
+        lines.push(`${fullName}${this._formatLabels(sample.labels)} ${this._formatValue(sample.value)}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @private
+   */
+  _register(name, type, help, collect) {
+    if (this.metrics.has(name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    this.metrics.set(name, { type, help, collect, samples: new Map() });
+  }
+
+  /**
+   * @private
+   */
+  _normalize(result) {
+    return Array.isArray(result) ? result : [{ labels: {}, value: result }];
+  }
+
+  /**
+   * @private
+   */
+  _formatLabels(labels = {}) {
+    const pairs = Object.entries(labels).map(([key, value]) => {
+      const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+      return `${key}="${escaped}"`;
+    });
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  /**
+   * @private
+   */
+  _formatValue(value) {
+    const number = Number(value);
+    if (Number.isNaN(number)) return 'NaN';
+    if (number === Infinity) return '+Inf';
+    if (number === -Infinity) return '-Inf';
+    return String(number);
+  }
+}
+
+export default Metrics;
@@ -0,0 +1,556 @@
+import express from 'express';
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import TrafficGenerator from './mock-traffic.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DNS_TYPES = { A: 1, CNAME: 5, AAAA: 28 };
+
+/**
+ * Mock AdGuard Home
+ * A stand-in AdGuard Home for offline demos. Serves /control/querylog,
+ * /control/stats, /control/status, /control/clients and the filtering
+ * endpoints from the fixtures in fixtures/demo, with a traffic generator
+ * appending new queries while it runs.
+ *
+ * It also answers the requests the dashboard would otherwise send to the
+ * internet: /geo/json/:ip in ip-api.com's format from geo.json, and
+ * /dns-query (RFC 8484) for follow-up lookups of CNAME-only answers.
+ *
+ * Auth modes: 'both' (session login or Basic), 'basic' (no /control/login,
+ * like AdGuard before v0.107) and 'session' (login required).
+ */
+class MockAdGuardServer {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 0;
+    this.username = options.username || 'demo';
+    this.password = options.password || 'demo';
+    this.authMode = ['both', 'basic', 'session'].includes(options.authMode) ? options.authMode : 'both';
+    this.queriesPerSecond = options.queriesPerSecond || 5;
+    this.historyMinutes = options.historyMinutes ?? 30;
+    this.maxEntries = options.maxEntries || 5000;
+    this.fixturesDir = options.fixturesDir || path.join(__dirname, 'fixtures/demo');
+    this.tickInterval = 250;
+
+    this.entries = []; // Newest first, like AdGuard's log
+    this.sessions = new Set();
+    this.userRules = [];
+    this.counters = { queries: 0, blocked: 0 };
+    this.fixtures = null;
+    this.generator = null;
+    this.server = null;
+    this.tickTimer = null;
+  }
+
+  /**
+   * Base URL of the running server
+   */
+  get url() {
+    const address = this.server?.address();
+    return address ? `http://${this.host}:${address.port}` : null;
+  }
+
+  /**
+   * Load the fixtures, seed the query log and start listening
+   * @returns {Promise<string>} Base URL
+   */
+  async start() {
+    this.fixtures = await this._loadFixtures();
+    this.generator = new TrafficGenerator({
+      domains: this.fixtures.domains.domains,
+      devices: this.fixtures.clients.devices,
+      clients: this.fixtures.clients.clients,
+      autoClients: this.fixtures.clients.auto_clients,
+      upstreams: this.fixtures.stats.upstreams
+    }, {
+      getUserRules: () => this.userRules
+    });
+
+    this._seed();
+
+    const app = this._createApp();
+    this.server = http.createServer(app);
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.tickTimer = setInterval(() => this._tick(), this.tickInterval);
+    console.log(`🧪 Mock AdGuard Home listening at ${this.url} (${this.queriesPerSecond} queries/s, ${this.authMode} auth)`);
+    return this.url;
+  }
+
+  /**
+   * Stop generating traffic and close the server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _loadFixtures() {
+    const names = ['domains', 'clients', 'geo', 'querylog', 'stats'];
+    const fixtures = {};
+
+    for (const name of names) {
+      const content = await fs.readFile(path.join(this.fixturesDir, `${name}.json`), 'utf8');
+      fixtures[name] = JSON.parse(content);
+    }
+
+    return fixtures;
+  }
+
+  /**
+   * Fill the log with generated history, then the recorded fixture entries
+   * shifted so they end just before now
+   * @private
+   */
+  _seed() {
+    const now = Date.now();
+    const recorded = this.fixtures.querylog.data;
+    const historyCount = Math.min(
+      Math.floor(this.historyMinutes * 60 * this.queriesPerSecond),
+      this.maxEntries - recorded.length
+    );
+    const historyEnd = now - 5000;
+    const spacing = historyCount > 0 ? (this.historyMinutes * 60000) / historyCount : 0;
+
+    for (let i = historyCount; i > 0; i--) {
+      this._append(this.generator.next(new Date(historyEnd - i * spacing)));
+    }
+
+    // Keep the recorded spacing between fixture entries
+    const recordedTimes = recorded.map(entry => new Date(entry.time).getTime());
+    const newestRecorded = Math.max(...recordedTimes);
+
+    recorded
+      .map((entry, index) => ({ entry, time: recordedTimes[index] }))
+      .sort((a, b) => a.time - b.time)
+      .forEach(({ entry, time }) => {
+        const shifted = new Date(historyEnd + 2000 - (newestRecorded - time));
+        this._append({ ...entry, time: this.generator.formatTime(shifted) });
+      });
+  }
+
+  /**
+   * Generate the queries that arrived since the last tick
+   * @private
+   */
+  _tick() {
+    const expected = this.queriesPerSecond * (this.tickInterval / 1000);
+    // Bursty arrivals around the configured rate
+    const count = Math.floor(expected * (0.3 + Math.random() * 1.4) + Math.random());
+
+    for (let i = 0; i < count; i++) {
+      this._append(this.generator.next(new Date()));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _append(entry) {
+    this.entries.unshift(entry);
+    if (this.entries.length > this.maxEntries) this.entries.length = this.maxEntries;
+
+    this.counters.queries++;
+    if (entry.reason === 'FilteredBlackList') this.counters.blocked++;
+  }
+
+  /**
+   * @private
+   */
+  _createApp() {
+    const app = express();
+
+    app.post('/dns-query', express.raw({ type: 'application/dns-message', limit: '4kb' }), (req, res) => {
+      this._handleDnsQuery(req.body, res);
+    });
+    app.get('/dns-query', (req, res) => {
+      this._handleDnsQuery(Buffer.from(String(req.query.dns || ''), 'base64url'), res);
+    });
+
+    app.get('/geo/json/:ip', (req, res) => {
+      const location = this.fixtures.geo[req.params.ip];
+      if (!location) {
+        return res.json({ status: 'fail', message: 'reserved range', query: req.params.ip });
+      }
+      res.json({ status: 'success', ...location, query: req.params.ip });
+    });
+
+    app.use('/control', express.json({ limit: '64kb' }));
+
+    app.post('/control/login', (req, res) => {
+      if (this.authMode === 'basic') return res.status(404).send('404 page not found\n');
+
+      const { name, password } = req.body || {};
+      if (!this._checkCredentials(name, password)) {
+        return res.status(403).send('invalid username or password\n');
+      }
+
+      const session = crypto.randomBytes(16).toString('hex');
+      this.sessions.add(session);
+      res.cookie('agh_session', session, { httpOnly: true, path: '/', sameSite: 'lax' });
+      res.send('OK\n');
+    });
+
+    app.use('/control', (req, res, next) => {
+      if (this._isAuthorized(req)) return next();
+      res.status(401).send('Unauthorized\n');
+    });
+
+    app.get('/control/status', (req, res) => {
+      const address = this.server.address();
+      res.json({
+        version: 'v0.107.52-demo',
+        language: 'en',
+        dns_addresses: ['192.168.1.2'],
+        dns_port: 53,
+        http_port: address.port,
+        protection_enabled: true,
+        protection_disabled_duration: 0,
+        dhcp_available: false,
+        running: true
+      });
+    });
+
+    app.get('/control/querylog', (req, res) => {
+      res.json(this._queryLog(req.query));
+    });
+
+    app.get('/control/stats', (req, res) => {
+      res.json(this._stats());
+    });
+
+    app.get('/control/clients', (req, res) => {
+      const { clients, auto_clients: autoClients } = this.fixtures.clients;
+      res.json({
+        clients: clients.map(client => ({ use_global_settings: true, filtering_enabled: true, ...client })),
+        auto_clients: autoClients.map(client => ({ whois_info: {}, ...client })),
+        supported_tags: [...new Set(clients.flatMap(client => client.tags))]
+      });
+    });
+
+    app.get('/control/filtering/status', (req, res) => {
+      res.json({
+        enabled: true,
+        interval: 24,
+        filters: [{ id: 1, name: 'AdGuard DNS filter', url: 'https://adguardteam.github.io/HostlistsRegistry/assets/filter_1.txt', enabled: true, rules_count: 54218 }],
+        whitelist_filters: [],
+        user_rules: this.userRules
+      });
+    });
+
+    app.post('/control/filtering/set_rules', (req, res) => {
+      const rules = req.body?.rules;
+      if (!Array.isArray(rules) || rules.some(rule => typeof rule !== 'string')) {
+        return res.status(400).send('rules must be an array of strings\n');
+      }
+
+      this.userRules = rules.filter(rule => rule.trim());
+      res.send('OK\n');
+    });
+
+    app.use((req, res) => {
+      res.status(404).send('404 page not found\n');
+    });
+
+    return app;
+  }
+
+  /**
+   * Accept Basic auth or a session cookie, depending on the auth mode
+   * @private
+   */
+  _isAuthorized(req) {
+    if (this.authMode !== 'session') {
+      const header = req.headers.authorization || '';
+      if (header.startsWith('Basic ')) {
+        const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator > 0 && this._checkCredentials(decoded.slice(0, separator), decoded.slice(separator + 1))) {
+          return true;
+        }
+      }
+    }
+
+    if (this.authMode !== 'basic') {
+      const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+      const session = cookies.find(cookie => cookie.startsWith('agh_session='));
+      if (session && this.sessions.has(session.slice('agh_session='.length))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _checkCredentials(name, password) {
+    return name === this.username && password === this.password;
+  }
+
+  /**
+   * Page through the log the way AdGuard does: newest first, strictly older
+   * than older_than, filtered by search and response_status
+   * @private
+   */
+  _queryLog(query) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || 500, 1), 1000);
+    const olderThan = query.older_than || '';
+    const search = String(query.search || '').toLowerCase();
+    const status = query.response_status || 'all';
+    const olderThanNanos = olderThan ? this._toNanos(olderThan) : null;
+
+    const data = [];
+    for (const entry of this.entries) {
+      if (data.length >= limit) break;
+      if (olderThanNanos !== null && this._toNanos(entry.time) >= olderThanNanos) continue;
+      if (search && !this._matchesSearch(entry, search)) continue;
+      if (!this._matchesStatus(entry, status)) continue;
+      data.push(entry);
+    }
+
+    return {
+      data,
+      oldest: data.length > 0 ? data[data.length - 1].time : ''
+    };
+  }
+
+  /**
+   * @private
+   */
+  _matchesSearch(entry, search) {
+    return [entry.question.name, entry.client, entry.client_id, entry.client_info?.name]
+      .some(value => value && value.toLowerCase().includes(search));
+  }
+
+  /**
+   * @private
+   */
+  _matchesStatus(entry, status) {
+    const blocked = entry.reason.startsWith('Filtered');
+
+    switch (status) {
+      case 'filtered': return blocked || entry.reason === 'NotFilteredWhiteList';
+      case 'blocked': return blocked;
+      case 'blocked_services': return entry.reason === 'FilteredBlockedService';
+      case 'blocked_safebrowsing': return entry.reason === 'FilteredSafeBrowsing';
+      case 'blocked_parental': return entry.reason === 'FilteredParental';
+      case 'whitelisted': return entry.reason === 'NotFilteredWhiteList';
+      case 'rewritten': return entry.reason.startsWith('Rewrite');
+      case 'safe_search': return entry.reason === 'FilteredSafeSearch';
+      case 'processed': return !blocked;
+      default: return true;
+    }
+  }
+
+  /**
+   * Compare RFC3339 times at nanosecond precision
+   * @private
+   */
+  _toNanos(time) {
+    const match = String(time).match(/^(.*T\d{2}:\d{2}:\d{2})(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/);
+    if (!match) return 0n;
+
+    const seconds = BigInt(Date.parse(`${match[1]}${match[3]}`)) / 1000n;
+    return seconds * 1000000000n + BigInt((match[2] || '').padEnd(9, '0'));
+  }
+
+  /**
+   * Fixture baseline plus everything generated since start
+   * @private
+   */
+  _stats() {
+    const { baseline } = this.fixtures.stats;
+    const domains = new Map();
+    const blockedDomains = new Map();
+    const clients = new Map();
+    const upstreams = new Map();
+    let totalElapsed = 0;
+
+    for (const entry of this.entries) {
+      const elapsed = parseFloat(entry.elapsedMs) || 0;
+      totalElapsed += elapsed;
+
+      this._increment(domains, entry.question.name);
+      this._increment(clients, entry.client);
+      if (entry.reason === 'FilteredBlackList') this._increment(blockedDomains, entry.question.name);
+
+      if (entry.upstream) {
+        const upstream = upstreams.get(entry.upstream) || { count: 0, elapsed: 0 };
+        upstream.count++;
+        upstream.elapsed += elapsed;
+        upstreams.set(entry.upstream, upstream);
+      }
+    }
+
+    const average = this.entries.length > 0 ? totalElapsed / this.entries.length / 1000 : baseline.avg_processing_time;
+
+    return {
+      time_units: 'hours',
+      num_dns_queries: baseline.num_dns_queries + this.counters.queries,
+      num_blocked_filtering: baseline.num_blocked_filtering + this.counters.blocked,
+      num_replaced_safebrowsing: baseline.num_replaced_safebrowsing,
+      num_replaced_safesearch: 0,
+      num_replaced_parental: baseline.num_replaced_parental,
+      avg_processing_time: Number(average.toFixed(4)),
+      top_queried_domains: this._top(domains),
+      top_blocked_domains: this._top(blockedDomains),
+      top_clients: this._top(clients),
+      top_upstreams_responses: this._top(new Map([...upstreams].map(([name, value]) => [name, value.count]))),
+      top_upstreams_avg_time: [...upstreams]
+        .map(([name, value]) => ({ [name]: Number((value.elapsed / value.count / 1000).toFixed(4)) }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _increment(map, key) {
+    map.set(key, (map.get(key) || 0) + 1);
+  }
+
+  /**
+   * @private
+   */
+  _top(map, limit = 10) {
+    return [...map]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([name, count]) => ({ [name]: count }));
+  }
+
+  /**
+   * Answer a DNS-over-HTTPS query from the domain fixtures
+   * @private
+   */
+  _handleDnsQuery(message, res) {
+    let question;
+    try {
+      question = this._readQuestion(message);
+    } catch (error) {
+      return res.status(400).send('bad dns message\n');
+    }
+
+    res.type('application/dns-message').send(this._dnsResponse(message, question));
+  }
+
+  /**
+   * @private
+   */
+  _readQuestion(message) {
+    if (!Buffer.isBuffer(message) || message.length < 17) throw new Error('DNS query too short');
+
+    const labels = [];
+    let offset = 12;
+    while (message[offset] !== 0) {
+      const length = message[offset];
+      if (length === undefined || length > 63) throw new Error('Malformed DNS name');
+      labels.push(message.toString('utf8', offset + 1, offset + 1 + length));
+      offset += length + 1;
+    }
+
+    return {
+      name: labels.join('.').toLowerCase(),
+      type: message.readUInt16BE(offset + 1),
+      end: offset + 5
+    };
+  }
+
+  /**
+   * Build the response: the CNAME chain, then the addresses of the last
+   * name. Blocked domains get 0.0.0.0 like AdGuard's default blocking mode.
+   * @private
+   */
+  _dnsResponse(message, question) {
+    // Names in the middle of a CNAME chain answer with the rest of it
+    const item = this.fixtures.domains.domains.find(domain =>
+      domain.domain === question.name || (domain.cname || []).includes(question.name)
+    );
+    const blocked = item && this.generator.filterDomain(item).blocked;
+    const records = [];
+    let rcode = 0;
+
+    if (!item || item.nxdomain) {
+      rcode = 3;
+    } else if (blocked) {
+      if (question.type === DNS_TYPES.A) records.push([question.name, DNS_TYPES.A, Buffer.from([0, 0, 0, 0])]);
+    } else {
+      const chain = item.cname || [];
+      let owner = question.name;
+      for (const target of chain.slice(chain.indexOf(question.name) + 1)) {
+        records.push([owner, DNS_TYPES.CNAME, this._encodeName(target)]);
+        owner = target;
+      }
+
+      const addresses = question.type === DNS_TYPES.A ? item.ipv4 : question.type === DNS_TYPES.AAAA ? item.ipv6 : null;
+      (addresses || []).forEach(ip => records.push([owner, question.type, this._encodeAddress(ip)]));
+    }
+
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(message.readUInt16BE(0), 0);
+    header.writeUInt16BE(0x8180 | rcode, 2); // QR, RD, RA
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(records.length, 6);
+
+    return Buffer.concat([
+      header,
+      message.subarray(12, question.end),
+      ...records.map(([owner, type, data]) => {
+        const fixed = Buffer.alloc(10);
+        fixed.writeUInt16BE(type, 0);
+        fixed.writeUInt16BE(1, 2);
+        fixed.writeUInt32BE(type === DNS_TYPES.CNAME ? 1800 : 300, 4);
+        fixed.writeUInt16BE(data.length, 8);
+        return Buffer.concat([this._encodeName(owner), fixed, data]);
+      })
+    ]);
+  }
+
+  /**
+   * @private
+   */
+  _encodeName(name) {
+    return Buffer.concat([
+      ...name.split('.').flatMap(label => [Buffer.from([label.length]), Buffer.from(label, 'utf8')]),
+      Buffer.from([0])
+    ]);
+  }
+
+  /**
+   * @private
+   */
+  _encodeAddress(ip) {
+    if (ip.includes('.')) return Buffer.from(ip.split('.').map(Number));
+
+    // Expand :: and write the eight 16-bit groups
+    const [head, tail] = ip.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+    const buffer = Buffer.alloc(16);
+    groups.forEach((group, index) => buffer.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+    return buffer;
+  }
+}
+
+export default MockAdGuardServer;
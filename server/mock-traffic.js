@@ -0,0 +1,204 @@
+/**
+ * Mock Traffic Generator
+ * Builds synthetic AdGuard Home query log entries from the demo fixtures:
+ * weighted domains and devices, CNAME chains, blocked queries, CNAME-only
+ * answers and NXDOMAINs, in the same shape /control/querylog returns
+ */
+class TrafficGenerator {
+  constructor(fixtures, options = {}) {
+    this.domains = fixtures.domains || [];
+    this.devices = fixtures.devices || [];
+    this.clients = fixtures.clients || [];
+    this.autoClients = fixtures.autoClients || [];
+    this.upstreams = fixtures.upstreams || [];
+    this.cacheRatio = options.cacheRatio ?? 0.25;
+    this.getUserRules = options.getUserRules || (() => []);
+
+    this.lastTime = 0n; // Nanoseconds of the newest generated entry
+  }
+
+  /**
+   * Generate one query log entry
+   * @param {Date} date - When the query was received
+   * @returns {Object} Raw query log entry
+   */
+  next(date = new Date()) {
+    const device = this._pick(this.devices);
+    const item = this._pick(this.domains);
+    const type = item.types[Math.floor(Math.random() * item.types.length)];
+    const upstream = this._pick(this.upstreams);
+    const filtering = this.filterDomain(item);
+
+    const entry = {
+      answer: [],
+      answer_dnssec: false,
+      cached: false,
+      client: device.ip,
+      client_info: { name: this._clientName(device), whois: {}, disallowed: false, disallowed_rule: '' },
+      client_proto: device.client_proto || '',
+      elapsedMs: '0',
+      question: { class: 'IN', name: item.domain, type },
+      reason: filtering.reason,
+      rules: filtering.rules,
+      status: 'NOERROR',
+      time: this.formatTime(date),
+      upstream: ''
+    };
+
+    if (device.client_id) entry.client_id = device.client_id;
+    if (device.ecs) entry.ecs = device.ecs;
+
+    if (filtering.blocked) {
+      entry.elapsedMs = this._elapsed(0.1, 0.6);
+      return entry;
+    }
+
+    entry.cached = !item.nxdomain && Math.random() < this.cacheRatio;
+    entry.upstream = entry.cached ? '' : upstream.address;
+    entry.elapsedMs = entry.cached
+      ? this._elapsed(0.1, 0.5)
+      : this._elapsed(upstream.avgMs * 0.5, upstream.avgMs * 1.5 + (item.cname?.length || 0) * 8);
+
+    if (item.nxdomain) {
+      entry.status = 'NXDOMAIN';
+      return entry;
+    }
+
+    entry.answer_dnssec = item.dnssec === true;
+    entry.answer = this._answer(item, type);
+    return entry;
+  }
+
+  /**
+   * Build the answer section: the CNAME chain followed by the final records
+   * @private
+   */
+  _answer(item, type) {
+    const answer = (item.cname || []).map(target => ({
+      type: 'CNAME',
+      value: `${target}.`,
+      ttl: this._ttl(300, 3600)
+    }));
+
+    // CNAME-only answers, and AAAA queries for IPv4-only names (NODATA)
+    if (item.cnameOnly) return answer;
+
+    if (type === 'A') {
+      (item.ipv4 || []).forEach(ip => answer.push({ type: 'A', value: ip, ttl: this._ttl(60, 300) }));
+    } else if (type === 'AAAA') {
+      (item.ipv6 || []).forEach(ip => answer.push({ type: 'AAAA', value: ip, ttl: this._ttl(60, 300) }));
+    } else if (type === 'HTTPS') {
+      answer.push({ type: 'HTTPS', value: '1 . alpn="h3,h2"', ttl: this._ttl(60, 300) });
+    }
+
+    return answer;
+  }
+
+  /**
+   * Decide whether a domain is filtered: user rules first, then the
+   * domain's filter list rule
+   * @param {Object} item - Domain fixture
+   * @returns {Object} { blocked, reason, rules } as AdGuard logs them
+   */
+  filterDomain(item) {
+    const userRules = this.getUserRules();
+    const allowRule = userRules.find(rule => rule.startsWith('@@') && this._ruleMatches(rule.slice(2), item.domain));
+    if (allowRule) {
+      return { blocked: false, reason: 'NotFilteredWhiteList', rules: [{ filter_list_id: 0, text: allowRule }] };
+    }
+
+    const blockRule = userRules.find(rule => !rule.startsWith('@@') && this._ruleMatches(rule, item.domain));
+    if (blockRule) {
+      return { blocked: true, reason: 'FilteredBlackList', rules: [{ filter_list_id: 0, text: blockRule }] };
+    }
+
+    if (item.blocked) {
+      return { blocked: true, reason: 'FilteredBlackList', rules: [{ filter_list_id: 1, text: item.rule }] };
+    }
+
+    return { blocked: false, reason: 'NotFilteredNotFound', rules: [] };
+  }
+
+  /**
+   * Match a ||domain^ rule against a domain and its subdomains
+   * @private
+   */
+  _ruleMatches(rule, domain) {
+    const match = rule.trim().match(/^\|\|([^\^]+)\^$/);
+    if (!match) return false;
+    return domain === match[1] || domain.endsWith(`.${match[1]}`);
+  }
+
+  /**
+   * Name AdGuard would report in client_info for a device
+   * @private
+   */
+  _clientName(device) {
+    const persistent = this.clients.find(client => client.ids.some(id =>
+      id === device.ip || id === device.client_id || this._inCidr(device.ip, id)
+    ));
+    if (persistent) return persistent.name;
+
+    const runtime = this.autoClients.find(client => client.ip === device.ip);
+    return runtime ? runtime.name : '';
+  }
+
+  /**
+   * Check whether an IPv4 address falls in a CIDR range
+   * @private
+   */
+  _inCidr(ip, cidr) {
+    const [network, bits] = cidr.split('/');
+    if (bits === undefined) return false;
+
+    const toInt = value => value.split('.').reduce((acc, part) => (acc << 8) + Number(part), 0) >>> 0;
+    const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+    return ((toInt(ip) & mask) >>> 0) === ((toInt(network) & mask) >>> 0);
+  }
+
+  /**
+   * RFC3339 time with nanoseconds, strictly increasing like AdGuard's log
+   * @param {Date} date - Time to format
+   * @returns {string}
+   */
+  formatTime(date) {
+    let nanos = BigInt(date.getTime()) * 1000000n + BigInt(Math.floor(Math.random() * 1000000));
+    if (nanos <= this.lastTime) nanos = this.lastTime + 1n;
+    this.lastTime = nanos;
+
+    const iso = new Date(Number(nanos / 1000000n)).toISOString().slice(0, 19);
+    return `${iso}.${String(nanos % 1000000000n).padStart(9, '0')}Z`;
+  }
+
+  /**
+   * Pick an item by its weight
+   * @private
+   */
+  _pick(items) {
+    const total = items.reduce((sum, item) => sum + (item.weight || 1), 0);
+    let roll = Math.random() * total;
+
+    for (const item of items) {
+      roll -= item.weight || 1;
+      if (roll < 0) return item;
+    }
+
+    return items[items.length - 1];
+  }
+
+  /**
+   * @private
+   */
+  _elapsed(min, max) {
+    return (min + Math.random() * (max - min)).toFixed(3);
+  }
+
+  /**
+   * @private
+   */
+  _ttl(min, max) {
+    return Math.floor(min + Math.random() * (max - min));
+  }
+}
+
+export default TrafficGenerator;
@@ -0,0 +1,362 @@
+import DnsBackend from './dns-backend.js';
+
+// Pi-hole v6 query statuses that mean the query was blocked
+const BLOCKED_STATUSES = new Set([
+  'GRAVITY',
+  'REGEX',
+  'DENYLIST',
+  'EXTERNAL_BLOCKED_IP',
+  'EXTERNAL_BLOCKED_NULL',
+  'EXTERNAL_BLOCKED_NXRA',
+  'EXTERNAL_BLOCKED_EDE15',
+  'GRAVITY_CNAME',
+  'REGEX_CNAME',
+  'DENYLIST_CNAME',
+  'SPECIAL_DOMAIN'
+]);
+
+const CACHED_STATUSES = new Set(['CACHE', 'CACHE_STALE']);
+
+// Reply types that carry a DNS error code instead of an answer
+const REPLY_STATUS = {
+  NXDOMAIN: 'NXDOMAIN',
+  SERVFAIL: 'SERVFAIL',
+  REFUSED: 'REFUSED',
+  NOTIMP: 'NOTIMP'
+};
+
+/**
+ * Pi-hole v6 API Client
+ * Reads the query log and statistics from the Pi-hole v6 REST API and
+ * normalizes them to the same shape as AdGuardClient
+ */
+class PiholeClient extends DnsBackend {
+  constructor(url, password, options = {}) {
+    super(url, options);
+    this.backendName = 'Pi-hole';
+    this.password = password || '';
+    this.sid = null;
+    this.sessionChecked = false;
+    this.loginPromise = null;
+
+    this.pageSize = options.pageSize || 100;
+    this.maxPages = options.maxPages || 50;
+    this.lastId = null; // Database id of the newest delivered query
+    this.backlog = null; // { start, cursor, lastId } while a backlog is read over several calls
+
+    // Pi-hole has no average processing time, keep one from recent replies
+    this.recentReplyTimes = [];
+  }
+
+  /**
+   * Fetch a single page of DNS query logs from Pi-hole
+   * @param {number} limit - Maximum number of entries to return
+   * @param {string|null} olderThan - Only return entries older than this RFC3339 time
+   * @returns {Promise<Array>} Array of DNS query log entries, newest first
+   */
+  async getQueryLog(limit = 50, olderThan = null) {
+    const params = new URLSearchParams({ length: String(limit) });
+    if (olderThan) {
+      params.set('until', String(Date.parse(olderThan) / 1000));
+    }
+
+    try {
+      const data = await this._fetchWithRetry(`${this.baseUrl}/api/queries?${params}`);
+      return this.parseQueryLogs(data.queries || []);
+    } catch (error) {
+      console.error('Error fetching Pi-hole query log:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch every query logged since the previous call
+   * Pi-hole numbers queries with increasing database ids, so pages are read
+   * newest first until the last delivered id is reached. A backlog longer
+   * than maxPages is read over several calls, continuing at the next page.
+   * @returns {Promise<Array>} New DNS query log entries, oldest first
+   */
+  async getNewQueryLogs() {
+    try {
+      const fresh = [];
+      const resuming = this.backlog;
+      let cursor = resuming ? resuming.cursor : null;
+      let start = resuming ? resuming.start : 0;
+      let reachedLastId = false;
+      let morePages = false;
+      let pages = 0;
+
+      while (pages < this.maxPages) {
+        // Pin later pages to the first page's cursor so new queries
+        // arriving meanwhile do not shift the offsets
+        const params = new URLSearchParams({ length: String(this.pageSize), start: String(start) });
+        if (cursor !== null) params.set('cursor', String(cursor));
+
+        const data = await this._fetchWithRetry(`${this.baseUrl}/api/queries?${params}`);
+        const queries = Array.isArray(data.queries) ? data.queries : [];
+        pages++;
+        morePages = false;
+
+        if (cursor === null) cursor = data.cursor ?? null;
+
+        for (const query of queries) {
+          if (this.lastId !== null && query.id <= this.lastId) {
+            if (query.id === this.lastId) this.duplicateEntries++;
+            reachedLastId = true;
+            break;
+          }
+          fresh.push(query);
+        }
+
+        if (reachedLastId || this.lastId === null) break;
+        if (queries.length < this.pageSize || cursor === null) break;
+
+        start += this.pageSize;
+        morePages = true;
+      }
+
+      const isFirstFetch = this.lastId === null;
+      const newestId = fresh.length > 0 ? Math.max(...fresh.map(query => query.id)) : this.lastId;
+
+      if (morePages) {
+        // Keep lastId and continue at the next page next time; the newest id
+        // read so far becomes lastId once caught up
+        this.backlog = { start, cursor, lastId: resuming ? resuming.lastId : newestId };
+        console.warn(`⚠️  Query log backlog exceeds ${this.maxPages} pages of ${this.pageSize}, reading the rest on the next poll`);
+      } else if (resuming) {
+        this.lastId = resuming.lastId;
+        this.backlog = null;
+      } else {
+        this.lastId = newestId;
+      }
+
+      this._recordReplyTimes(fresh);
+
+      let entries = this.parseQueryLogs(fresh).reverse();
+
+      if (isFirstFetch) {
+        entries = this._applyInitialLookback(entries);
+      }
+
+      return entries;
+    } catch (error) {
+      console.error('Error fetching Pi-hole query log:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch statistics from Pi-hole
+   * @returns {Promise<Object>} Statistics object
+   */
+  async getStats() {
+    try {
+      const [summary, topDomains, topBlocked, topClients, upstreamStats] = await Promise.all([
+        this._fetchWithRetry(`${this.baseUrl}/api/stats/summary`),
+        this._fetchWithRetry(`${this.baseUrl}/api/stats/top_domains?count=10`),
+        this._fetchWithRetry(`${this.baseUrl}/api/stats/top_domains?count=10&blocked=true`),
+        this._fetchWithRetry(`${this.baseUrl}/api/stats/top_clients?count=10`),
+        this._fetchWithRetry(`${this.baseUrl}/api/stats/upstreams`)
+      ]);
+
+      // Pi-hole lists the blocklist and cache as pseudo upstreams without a port
+      const upstreams = (upstreamStats.upstreams || []).filter(item => item.port > 0);
+      const upstreamName = item => `${item.name || item.ip}#${item.port}`;
+
+      const avgProcessingTime = this.recentReplyTimes.length > 0
+        ? this.recentReplyTimes.reduce((a, b) => a + b, 0) / this.recentReplyTimes.length
+        : 0;
+
+      return {
+        numDnsQueries: summary.queries?.total || 0,
+        numBlockedFiltering: summary.queries?.blocked || 0,
+        avgProcessingTime,
+        topQueriedDomains: (topDomains.domains || []).map(item => ({ [item.domain]: item.count })),
+        topBlockedDomains: (topBlocked.domains || []).map(item => ({ [item.domain]: item.count })),
+        topClients: (topClients.clients || []).map(item => ({ [item.name || item.ip]: item.count })),
+        topUpstreamsResponses: upstreams.map(item => ({ [upstreamName(item)]: item.count })),
+        topUpstreamsAvgTime: upstreams.map(item => ({ [upstreamName(item)]: item.statistics?.response || 0 }))
+      };
+    } catch (error) {
+      console.error('Error fetching Pi-hole stats:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Test connection to Pi-hole
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    try {
+      await this._ensureSession();
+      const response = await this._fetch(`${this.baseUrl}/api/info/version`);
+      return response.ok;
+    } catch (error) {
+      if (error.code === 'AUTH_FAILED') throw error;
+      if (error.status === 401 || error.status === 403) {
+        throw this._authError(`Pi-hole rejected the password (HTTP ${error.status})`);
+      }
+      console.error('Pi-hole connection test failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Log in with POST /api/auth and keep the session id
+   * @returns {Promise<void>}
+   */
+  async login() {
+    this.sid = null;
+
+    let data;
+    try {
+      const response = await this._fetch(`${this.baseUrl}/api/auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: this.password })
+      });
+      data = await response.json();
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        throw this._authError('Pi-hole rejected the password');
+      }
+      throw error;
+    }
+
+    if (!data.session?.valid) {
+      throw this._authError(data.session?.message || 'Pi-hole rejected the password');
+    }
+
+    // Without a configured password Pi-hole grants access without a session id
+    this.sid = data.session.sid || null;
+    this.sessionChecked = true;
+    console.log(`🔑 Logged in to Pi-hole at ${this.baseUrl}`);
+  }
+
+  /**
+   * End the session with DELETE /api/auth
+   * Pi-hole only allows a few sessions at a time, so they are not left to expire
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const sid = this.sid;
+    this._clearSession();
+    if (!sid) return;
+
+    try {
+      await this._fetch(`${this.baseUrl}/api/auth`, {
+        method: 'DELETE',
+        headers: { 'X-FTL-SID': sid }
+      });
+    } catch (error) {
+      console.warn(`⚠️  Pi-hole logout failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse Pi-hole queries into the normalized entry shape
+   * @param {Array} queries - Raw queries from /api/queries
+   * @returns {Array} Parsed and sanitized log entries
+   */
+  parseQueryLogs(queries) {
+    if (!Array.isArray(queries)) {
+      console.warn('Expected array of queries, received:', typeof queries);
+      return [];
+    }
+
+    return queries.map(query => {
+      const status = query.status || 'UNKNOWN';
+      const replyType = query.reply?.type || 'UNKNOWN';
+      const filtered = BLOCKED_STATUSES.has(status);
+      const replyMs = typeof query.reply?.time === 'number' && query.reply.time >= 0
+        ? query.reply.time * 1000
+        : 0;
+
+      return {
+        timestamp: new Date(query.time * 1000),
+        client: this.sanitizeIP(query.client?.ip),
+        clientName: query.client?.name || '',
+        clientIds: query.client?.ip ? [query.client.ip] : [],
+        clientTags: [],
+        domain: this.sanitizeDomain(query.domain || 'unknown'),
+        type: query.type || 'A',
+        status: REPLY_STATUS[replyType] || 'NOERROR',
+        elapsed: replyMs.toFixed(2),
+        answer: [], // Pi-hole does not log answer records
+        cname: query.cname ? this.sanitizeDomain(query.cname) : null,
+        cnameChain: query.cname ? [this.sanitizeDomain(query.cname)] : [],
+        upstream: query.upstream || '',
+        cached: CACHED_STATUSES.has(status),
+        filtered,
+        reason: status,
+        protocol: 'plain', // Pi-hole only serves plain DNS
+        ecs: null,
+        dnssec: query.dnssec === 'SECURE',
+        needsResolution: !filtered && replyType === 'IP'
+      };
+    });
+  }
+
+  /**
+   * Keep the reply times (seconds) of the last 100 answered queries
+   * @private
+   */
+  _recordReplyTimes(queries) {
+    for (const query of queries) {
+      if (typeof query.reply?.time === 'number' && query.reply.time >= 0) {
+        this.recentReplyTimes.push(query.reply.time);
+      }
+    }
+    if (this.recentReplyTimes.length > 100) {
+      this.recentReplyTimes = this.recentReplyTimes.slice(-100);
+    }
+  }
+
+  /**
+   * Log in once, then whenever the session was cleared
+   * Concurrent requests share one login so each gets the same session
+   * @protected
+   */
+  async _ensureSession() {
+    if (this.sessionChecked) return;
+    this.loginPromise ??= this.login().finally(() => {
+      this.loginPromise = null;
+    });
+    await this.loginPromise;
+  }
+
+  /**
+   * Forget the session so the next request logs in again
+   * @protected
+   */
+  _clearSession() {
+    this.sid = null;
+    this.sessionChecked = false;
+  }
+
+  /**
+   * @protected
+   */
+  _sessionId() {
+    return this.sid;
+  }
+
+  /**
+   * Pi-hole always authenticates with a session
+   * @protected
+   */
+  _usesSession() {
+    return true;
+  }
+
+  /**
+   * Session id header for authenticated requests
+   * @protected
+   */
+  _authHeaders() {
+    return this.sid ? { 'X-FTL-SID': this.sid } : {};
+  }
+}
+
+export default PiholeClient;
@@ -0,0 +1,214 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const ROLLUP_WINDOWS = {
+  '1h': { duration: HOUR_MS, bucketSize: MINUTE_MS },
+  '24h': { duration: 24 * HOUR_MS, bucketSize: HOUR_MS },
+  '7d': { duration: 7 * 24 * HOUR_MS, bucketSize: HOUR_MS }
+};
+
+const DIMENSIONS = ['countries', 'cities', 'organizations', 'types', 'clients', 'destinations'];
+
+/**
+ * Query Rollups
+ * Counts processed queries per country, city, network (ASN/organization),
+ * record type, client and destination domain over rolling 1h, 24h and 7d
+ * windows. Queries are added to one-minute buckets for the last hour and
+ * one-hour buckets for the last 7 days; a window is the sum of its buckets,
+ * so the oldest minute or hour of a window may be partly outside it.
+ *
+ * Takes events in the HistoryStore shape. A query counts once per country,
+ * city and network among its destinations, however many IPs it answered with.
+ */
+class QueryRollups {
+  constructor() {
+    this.minuteBuckets = new Map();
+    this.hourBuckets = new Map();
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Window names accepted by getRollup()
+   */
+  static get WINDOWS() {
+    return Object.keys(ROLLUP_WINDOWS);
+  }
+
+  /**
+   * Count a processed query
+   * @param {Object} event - Event in the HistoryStore shape
+   */
+  add(event) {
+    const time = Date.parse(event.time);
+    if (!Number.isFinite(time)) return;
+
+    const now = Date.now();
+    if (time < now - ROLLUP_WINDOWS['7d'].duration - HOUR_MS) return;
+
+    if (time >= now - HOUR_MS - MINUTE_MS) {
+      this._count(this._bucket(this.minuteBuckets, time, MINUTE_MS), event);
+    }
+    this._count(this._bucket(this.hourBuckets, time, HOUR_MS), event);
+
+    if (now - this.lastPrune >= MINUTE_MS) this._prune(now);
+  }
+
+  /**
+   * Count past queries, for example the query history after a restart
+   * @param {AsyncIterable<Object>} events - Events in the HistoryStore shape
+   * @returns {Promise<number>} Number of events read
+   */
+  async load(events) {
+    let count = 0;
+    for await (const event of events) {
+      this.add(event);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Totals and top entries of each dimension for a window
+   * @param {string} window - One of WINDOWS
+   * @param {number} limit - Entries per dimension, busiest first
+   * @returns {Object} { window, from, to, totals, countries, cities, organizations, types, clients, destinations }
+   */
+  getRollup(window, limit = 20) {
+    const { duration, bucketSize } = ROLLUP_WINDOWS[window];
+    const buckets = bucketSize === MINUTE_MS ? this.minuteBuckets : this.hourBuckets;
+    const now = Date.now();
+    const firstBucket = Math.floor((now - duration) / bucketSize) * bucketSize;
+
+    this._prune(now);
+
+    const merged = this._createBucket();
+    for (const [start, bucket] of buckets) {
+      if (start < firstBucket) continue;
+
+      merged.queries += bucket.queries;
+      merged.blocked += bucket.blocked;
+      merged.located += bucket.located;
+      for (const dimension of DIMENSIONS) {
+        for (const [key, counts] of bucket[dimension]) {
+          const total = merged[dimension].get(key) || { queries: 0, blocked: 0 };
+          total.queries += counts.queries;
+          total.blocked += counts.blocked;
+          merged[dimension].set(key, total);
+        }
+      }
+    }
+
+    const top = dimension => [...merged[dimension].entries()]
+      .sort((a, b) => b[1].queries - a[1].queries)
+      .slice(0, limit);
+
+    return {
+      window,
+      from: new Date(firstBucket).toISOString(),
+      to: new Date(now).toISOString(),
+      totals: {
+        queries: merged.queries,
+        blocked: merged.blocked,
+        blockedRatio: this._ratio(merged.blocked, merged.queries),
+        located: merged.located
+      },
+      countries: top('countries').map(([country, counts]) => ({ country, queries: counts.queries })),
+      cities: top('cities').map(([key, counts]) => {
+        const [city, country] = JSON.parse(key);
+        return { city, country, queries: counts.queries };
+      }),
+      organizations: top('organizations').map(([key, counts]) => {
+        const [asn, org] = JSON.parse(key);
+        return { asn, org, queries: counts.queries };
+      }),
+      types: top('types').map(([type, counts]) => ({ type, queries: counts.queries })),
+      clients: top('clients').map(([key, counts]) => {
+        const [client, name] = JSON.parse(key);
+        return { client, name, queries: counts.queries, blocked: counts.blocked };
+      }),
+      destinations: top('destinations').map(([domain, counts]) => ({
+        domain,
+        queries: counts.queries,
+        blocked: counts.blocked,
+        blockedRatio: this._ratio(counts.blocked, counts.queries)
+      }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _count(bucket, event) {
+    const blocked = event.blocked === true;
+    const destinations = Array.isArray(event.destinations) ? event.destinations : [];
+    const located = destinations.filter(destination => destination.country);
+
+    bucket.queries++;
+    if (blocked) bucket.blocked++;
+    if (located.length > 0) bucket.located++;
+
+    const increment = (dimension, key) => {
+      const counts = bucket[dimension].get(key) || { queries: 0, blocked: 0 };
+      counts.queries++;
+      if (blocked) counts.blocked++;
+      bucket[dimension].set(key, counts);
+    };
+
+    // Keys are unique per query, several IPs in one country count once
+    new Set(located.map(destination => destination.country))
+      .forEach(country => increment('countries', country));
+    new Set(located.map(destination => JSON.stringify([destination.city, destination.country])))
+      .forEach(key => increment('cities', key));
+    new Set(located.filter(destination => destination.asn || destination.org)
+      .map(destination => JSON.stringify([destination.asn || null, destination.org || null])))
+      .forEach(key => increment('organizations', key));
+
+    increment('types', event.type || 'unknown');
+    increment('clients', JSON.stringify([event.client || '', event.clientName || '']));
+    increment('destinations', event.domain);
+  }
+
+  /**
+   * @private
+   */
+  _bucket(buckets, time, size) {
+    const start = Math.floor(time / size) * size;
+    if (!buckets.has(start)) buckets.set(start, this._createBucket());
+    return buckets.get(start);
+  }
+
+  /**
+   * @private
+   */
+  _createBucket() {
+    const bucket = { queries: 0, blocked: 0, located: 0 };
+    DIMENSIONS.forEach(dimension => { bucket[dimension] = new Map(); });
+    return bucket;
+  }
+
+  /**
+   * Drop buckets that no window reaches any more
+   * @private
+   */
+  _prune(now) {
+    this.lastPrune = now;
+    const minuteCutoff = now - HOUR_MS - MINUTE_MS;
+    const hourCutoff = now - ROLLUP_WINDOWS['7d'].duration - HOUR_MS;
+
+    for (const start of this.minuteBuckets.keys()) {
+      if (start < minuteCutoff) this.minuteBuckets.delete(start);
+    }
+    for (const start of this.hourBuckets.keys()) {
+      if (start < hourCutoff) this.hourBuckets.delete(start);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _ratio(part, total) {
+    return total > 0 ? Math.round((part / total) * 10000) / 10000 : 0;
+  }
+}
+
+export default QueryRollups;
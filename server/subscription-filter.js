@@ -0,0 +1,180 @@
+import net from 'net';
+
+const MAX_VALUES = 100;
+const MAX_VALUE_LENGTH = 253;
+const LIST_FIELDS = ['clients', 'domains', 'types', 'countries'];
+
+/**
+ * Subscription Filter
+ * Decides which dns_query messages a WebSocket connection receives. Each
+ * list that is set must match (values within one list are alternatives),
+ * so { clients: ['192.168.50.0/24'], blockedOnly: true } passes blocked
+ * queries from the guest network only. Other message types always pass.
+ *
+ * - clients: IP addresses, CIDR ranges or client names (case-insensitive)
+ * - domains: "example.com" matches it and its subdomains, "*" is a wildcard
+ * - types: record types such as A, AAAA or HTTPS
+ * - countries: destination country names as shown on the map
+ */
+class SubscriptionFilter {
+  constructor(filters = {}) {
+    this.filters = SubscriptionFilter.normalize(filters);
+
+    const clients = this.filters.clients || [];
+    this.clientNames = new Set();
+    this.clientAddresses = null;
+    clients.forEach(client => this._addClient(client));
+
+    this.domainPatterns = (this.filters.domains || []).map(pattern => this._compileDomain(pattern));
+    this.types = this.filters.types ? new Set(this.filters.types) : null;
+    this.countries = this.filters.countries ? new Set(this.filters.countries.map(country => country.toLowerCase())) : null;
+  }
+
+  /**
+   * Check and tidy filters sent by a client
+   * Empty lists are dropped, so {} subscribes to everything
+   * @param {Object} filters - { clients, domains, types, countries, blockedOnly }
+   * @returns {Object} The normalized filters
+   * @throws {Error} With code INVALID_FILTER describing the problem
+   */
+  static normalize(filters) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      throw SubscriptionFilter._invalid('filters must be an object');
+    }
+
+    const unknown = Object.keys(filters).filter(key => !LIST_FIELDS.includes(key) && key !== 'blockedOnly');
+    if (unknown.length > 0) {
+      throw SubscriptionFilter._invalid(`Unknown filter ${unknown.map(key => `"${key}"`).join(', ')}`);
+    }
+
+    const normalized = {};
+
+    for (const field of LIST_FIELDS) {
+      const values = filters[field];
+      if (values === undefined || values === null) continue;
+
+      if (!Array.isArray(values) || values.length > MAX_VALUES) {
+        throw SubscriptionFilter._invalid(`${field} must be a list of at most ${MAX_VALUES} values`);
+      }
+
+      const cleaned = values.map(value => {
+        if (typeof value !== 'string' || value.trim() === '' || value.length > MAX_VALUE_LENGTH) {
+          throw SubscriptionFilter._invalid(`${field} must hold non-empty strings of up to ${MAX_VALUE_LENGTH} characters`);
+        }
+        const trimmed = value.trim();
+        if (field === 'types') return trimmed.toUpperCase();
+        if (field === 'domains') return trimmed.toLowerCase().replace(/\.$/, '');
+        return trimmed;
+      });
+
+      if (cleaned.length > 0) normalized[field] = [...new Set(cleaned)];
+    }
+
+    if (filters.blockedOnly !== undefined && typeof filters.blockedOnly !== 'boolean') {
+      throw SubscriptionFilter._invalid('blockedOnly must be true or false');
+    }
+    if (filters.blockedOnly) normalized.blockedOnly = true;
+
+    return normalized;
+  }
+
+  /**
+   * Whether any filter is set
+   * @returns {boolean}
+   */
+  get active() {
+    return Object.keys(this.filters).length > 0;
+  }
+
+  /**
+   * Whether a message should be sent to the connection
+   * @param {Object} message - Message as broadcast
+   * @returns {boolean}
+   */
+  matches(message) {
+    if (message.type !== 'dns_query' || !this.active) return true;
+
+    const data = message.data || {};
+
+    if (this.filters.blockedOnly && data.filtered !== true) return false;
+
+    if (this.types) {
+      // Recordings made before recordType existed only have the display label
+      const type = data.recordType || String(data.queryType || '').split('→')[0];
+      if (!this.types.has(String(type).toUpperCase())) return false;
+    }
+
+    if (this.filters.clients && !this._matchesClient(data.clientIp, data.clientName)) return false;
+
+    if (this.domainPatterns.length > 0) {
+      const domain = String(data.domain || '').toLowerCase().replace(/\.$/, '');
+      if (!this.domainPatterns.some(pattern => pattern.test(domain))) return false;
+    }
+
+    if (this.countries) {
+      const country = message.destination?.country;
+      if (!country || !this.countries.has(String(country).toLowerCase())) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _addClient(client) {
+    const [address, prefix] = client.split('/');
+    const family = net.isIP(address);
+
+    if (!family) {
+      this.clientNames.add(client.toLowerCase());
+      return;
+    }
+
+    this.clientAddresses = this.clientAddresses || new net.BlockList();
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+
+    if (prefix === undefined) {
+      this.clientAddresses.addAddress(address, type);
+      return;
+    }
+
+    const bits = Number(prefix);
+    if (!/^\d+$/.test(prefix) || bits > (family === 6 ? 128 : 32)) {
+      throw SubscriptionFilter._invalid(`"${client}" is not a valid CIDR range`);
+    }
+    this.clientAddresses.addSubnet(address, bits, type);
+  }
+
+  /**
+   * @private
+   */
+  _matchesClient(ip, name) {
+    if (name && this.clientNames.has(String(name).toLowerCase())) return true;
+    if (ip && this.clientNames.has(String(ip).toLowerCase())) return true;
+
+    const family = net.isIP(ip || '');
+    return Boolean(family && this.clientAddresses && this.clientAddresses.check(ip, family === 6 ? 'ipv6' : 'ipv4'));
+  }
+
+  /**
+   * @private
+   */
+  _compileDomain(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return pattern.includes('*')
+      ? new RegExp(`^${escaped}$`)
+      : new RegExp(`(^|\\.)${escaped}$`);
+  }
+
+  /**
+   * @private
+   */
+  static _invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_FILTER';
+    return error;
+  }
+}
+
+export default SubscriptionFilter;
@@ -0,0 +1,152 @@
+const LAG_THRESHOLD_BYTES = 256 * 1024;
+const DROP_THRESHOLD_BYTES = 1024 * 1024;
+const CLOSE_THRESHOLD_BYTES = 4 * 1024 * 1024;
+const SAMPLE_RATE = 10;
+
+/**
+ * WebSocket Broadcaster
+ * Collects broadcast messages and sends them to every connection as one
+ * { type: 'batch', messages } frame per interval instead of a frame per query.
+ *
+ * Before each frame the socket's bufferedAmount is checked so a slow client
+ * can't make the server buffer without limit: above the lag threshold only
+ * every SAMPLE_RATE-th dns_query is sent, above the drop threshold none are,
+ * and a client still above the close threshold is disconnected. Other
+ * messages (stats, replay state, errors) are always sent. A client is told
+ * with { type: 'lagging', mode, dropped } whenever its mode changes, mode
+ * being 'sample', 'drop' or null once it has caught up.
+ */
+class WebSocketBroadcaster {
+  constructor(connections, options = {}) {
+    this.connections = connections;
+    this.interval = options.interval || 100;
+    this.onDropped = options.onDropped || (() => {});
+    this.onError = options.onError || (() => {});
+
+    this.pending = [];
+    this.flushTimer = null;
+    this.clients = new WeakMap();
+  }
+
+  /**
+   * Queue a message for every connection whose subscription matches
+   * @param {Object} message
+   */
+  send(message) {
+    this.pending.push({ message, json: JSON.stringify(message) });
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.interval);
+    }
+  }
+
+  /**
+   * Change how often frames are sent
+   * @param {number} interval - Milliseconds
+   */
+  setInterval(interval) {
+    this.interval = interval;
+  }
+
+  /**
+   * Number of connections currently sampled or dropped
+   * @returns {number}
+   */
+  getLaggingCount() {
+    let count = 0;
+    this.connections.forEach(ws => {
+      if (this.clients.get(ws)?.mode) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Send everything queued right away
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const pending = this.pending;
+    this.pending = [];
+    if (pending.length === 0) return;
+
+    this.connections.forEach(ws => {
+      if (ws.readyState !== 1) return;
+
+      try {
+        this._sendFrame(ws, pending);
+      } catch (error) {
+        this.onError(error);
+      }
+    });
+  }
+
+  /**
+   * Stop the timer, sending what is still queued
+   */
+  stop() {
+    this.flush();
+  }
+
+  /**
+   * @private
+   */
+  _sendFrame(ws, pending) {
+    const state = this._state(ws);
+    const buffered = ws.bufferedAmount;
+
+    if (buffered > CLOSE_THRESHOLD_BYTES) {
+      console.warn(`⚠️  Disconnecting WebSocket client with ${Math.round(buffered / 1024)} KB unsent`);
+      ws.terminate();
+      return;
+    }
+
+    const mode = buffered > DROP_THRESHOLD_BYTES ? 'drop'
+      : buffered > LAG_THRESHOLD_BYTES ? 'sample'
+      // Hysteresis: stay sampled until the buffer has drained well below the threshold
+      : state.mode && buffered > LAG_THRESHOLD_BYTES / 2 ? state.mode
+      : null;
+
+    const messages = [];
+    let dropped = 0;
+
+    for (const item of pending) {
+      if (ws.subscription && !ws.subscription.matches(item.message)) continue;
+
+      if (item.message.type === 'dns_query' && mode) {
+        state.sampleCounter = (state.sampleCounter + 1) % SAMPLE_RATE;
+        if (mode === 'drop' || state.sampleCounter !== 0) {
+          dropped++;
+          continue;
+        }
+      }
+      messages.push(item.json);
+    }
+
+    state.dropped += dropped;
+    if (dropped > 0) this.onDropped(dropped);
+
+    if (mode !== state.mode) {
+      messages.push(JSON.stringify({ type: 'lagging', mode, dropped: state.dropped }));
+      state.mode = mode;
+      if (!mode) state.dropped = 0;
+    }
+
+    if (messages.length > 0) {
+      ws.send(`{"type":"batch","messages":[${messages.join(',')}]}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _state(ws) {
+    if (!this.clients.has(ws)) {
+      this.clients.set(ws, { mode: null, dropped: 0, sampleCounter: 0 });
+    }
+    return this.clients.get(ws);
+  }
+}
+
+export default WebSocketBroadcaster;